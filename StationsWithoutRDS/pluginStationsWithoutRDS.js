@@ -28,11 +28,160 @@
     return stableStringify(list);
   }
 
+  function formatConfidence(c) {
+    const v = Number(c?.confidence);
+    return Number.isFinite(v) ? `${Math.round(v * 100)}%` : '';
+  }
+
+  // расхождения между базами: "erp: maps 5 / fmlist 10"
+  function formatConflicts(conflicts) {
+    return conflicts
+      .map(({ field, values }) => `${field}: ${Object.entries(values).map(([src, v]) => `${src} ${v}`).join(' / ')}`)
+      .join('\n');
+  }
+
+  // PI кандидата: цифры, которых нет в принятом частичном PI, подсвечиваются
+  function renderPi(candidatePi, receivedPi) {
+    const span = document.createElement('span');
+    const pi = String(candidatePi || '').toUpperCase();
+    const mask = String(receivedPi || '').toUpperCase();
+    if (!pi) return span;
+
+    span.append('PI ');
+    [...pi].forEach((ch, i) => {
+      const d = document.createElement('span');
+      d.textContent = ch;
+      if (mask.length === pi.length && mask[i] === '?') {
+        d.title = 'Not decoded yet';
+        d.style.textDecoration = 'underline dotted';
+        d.style.color = 'var(--color-main-bright, #ffb74d)';
+      }
+      span.appendChild(d);
+    });
+    return span;
+  }
+
   let lastCandidatesHash = null;
   let lastCandidatesLength = 0;
 
 
 
+  /* ================= DATA_PLUGINS URL ================= */
+
+  const pluginName = 'StationsWithoutRDS';
+
+  const url = new URL(location.href);
+  const protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  const basePath = url.pathname.replace(/setup/g, '').replace(/\/?$/, '/');
+  const WS_URL = `${protocol}//${url.host}${basePath}data_plugins`;
+  // запросы с ответом только нам; /data_plugins — запасной путь
+  const REQUEST_URL = `${basePath}${pluginName}/request`;
+
+  /* ================= SETUP PAGE: СТАТУС КОНФИГА ================= */
+
+  function renderConfigStatus(box, status) {
+    box.innerHTML = '';
+    box.style.borderLeft = `4px solid ${status.ok ? '#4caf50' : '#f44336'}`;
+
+    const head = document.createElement('div');
+    head.style.fontWeight = '600';
+    head.textContent = status.ok
+      ? `StationsWithoutRDS: config OK (version ${status.version})`
+      : `StationsWithoutRDS: config has errors${status.usingLastGood ? ' — using the last good configuration' : ''}`;
+    box.appendChild(head);
+
+    const addLines = (lines, color) => {
+      for (const line of lines || []) {
+        const el = document.createElement('div');
+        el.style.cssText = `font-size: 12px; color: ${color};`;
+        el.textContent = line;
+        box.appendChild(el);
+      }
+    };
+    addLines(status.errors, '#f44336');
+    addLines(status.warnings, '#ffb74d');
+    addLines((status.migrated || []).map((m) => `migrated: ${m}`), 'inherit');
+
+    // миграция сделана только в памяти — файл переписываем лишь по кнопке
+    if (status.migrationPending) {
+      const btn = document.createElement('button');
+      btn.textContent = 'Save config in the new format';
+      btn.title = 'Rewrites StationsWithoutRDS.json, the original is kept as .bak';
+      btn.style.cssText = 'margin-top: 6px; cursor: pointer;';
+      btn.onclick = async (e) => {
+        e.stopPropagation();
+        btn.disabled = true;
+        const res = await saveMigratedConfig();
+        if (res?.status) renderConfigStatus(box, res.status);
+        if (!res || res.error) {
+          btn.disabled = false;
+          addLines([res?.error || 'request failed'], '#f44336');
+        }
+      };
+      box.appendChild(btn);
+    }
+  }
+
+  async function saveMigratedConfig() {
+    try {
+      const res = await fetch(REQUEST_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'migrateConfig', id: `migrate-${Date.now().toString(36)}` }),
+      });
+      return await res.json();
+    } catch {
+      return null;
+    }
+  }
+
+  function showSetupConfigStatus() {
+    const box = document.createElement('div');
+    box.id = 'stations-no-rds-config-status';
+    box.style.cssText = `
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      max-width: 420px;
+      max-height: 40vh;
+      overflow-y: auto;
+      z-index: 10000;
+      padding: 8px 12px;
+      border-radius: 6px;
+      background: var(--color-2, #111);
+      color: var(--color-text, #fff);
+      cursor: pointer;
+    `;
+    box.title = 'Click to close';
+    box.onclick = () => box.remove();
+
+    const id = `status-${Date.now().toString(36)}`;
+    const ws = new WebSocket(WS_URL);
+
+    ws.onopen = () => {
+      ws.send(JSON.stringify({ type: pluginName, value: { action: 'configStatus', id } }));
+    };
+
+    ws.onmessage = (e) => {
+      const msg = safeJsonParse(e.data);
+      if (!msg || msg.type !== pluginName) return;
+
+      const v = msg.value;
+      const mine = v?.action === 'configStatusResult' && v.id === id;
+      if (!mine && v?.action !== 'configStatus') return;
+      if (!v.status) return;
+
+      renderConfigStatus(box, v.status);
+      if (!box.isConnected) document.body.appendChild(box);
+    };
+  }
+
+  // на странице настроек только показываем статус конфига
+  if (/\/setup\/?$/.test(url.pathname)) {
+    showSetupConfigStatus();
+    return;
+  }
+
   /* ================= UI INIT ================= */
 
   const baseContainer = byId(document, 'data-station-container');
@@ -94,6 +243,7 @@
 
   let currentCandidates = [];
   let currentCandidateIndex = 0;
+  let currentFind = { freq: null, ant: null };
 
   function ensureSideButtons() {
     if (byId(dataStationContainer, 'candidate-prev')) return;
@@ -189,7 +339,7 @@
     }
   }
 
-  function showStationsOverlay(candidates, onSelect) {
+  function showStationsOverlay(candidates, ctx = {}) {
     if (!Array.isArray(candidates) || !candidates.length) return;
 
     // если уже открыт — не создаём второй
@@ -257,6 +407,66 @@
     closeBtn.onmouseenter = () => closeBtn.style.opacity = '1';
     closeBtn.onmouseleave = () => closeBtn.style.opacity = '0.7';
 
+    const lookup = document.createElement('input');
+    lookup.type = 'text';
+    lookup.placeholder = 'MHz';
+    lookup.title = 'Look up another frequency';
+    lookup.style.cssText = `
+      width: 70px;
+      margin-left: auto;
+      margin-right: 12px;
+      padding: 2px 6px;
+      border-radius: 4px;
+      border: none;
+      background: var(--color-3, #1a1a1a);
+      color: var(--color-text);
+    `;
+    lookup.onkeydown = async (e) => {
+      e.stopPropagation();
+      if (e.key !== 'Enter') return;
+
+      const freq = parseFloat(String(lookup.value).replace(',', '.'));
+      if (!Number.isFinite(freq)) return;
+
+      const res = await queryStations(freq);
+      if (res) renderList(res.list || [], `${res.freq ?? freq} MHz`, { freq: res.freq, ant: res.ant, pi: res.pi, ecc: res.ecc });
+    };
+
+    const mkHeaderBtn = (text, titleText, onClick) => {
+      const b = document.createElement('div');
+      b.textContent = text;
+      b.title = titleText;
+      b.style.cssText = `
+        cursor: pointer;
+        font-size: 12px;
+        margin-right: 8px;
+        padding: 2px 6px;
+        border-radius: 4px;
+        background: var(--color-3, #1a1a1a);
+        color: var(--color-text);
+        opacity: 0.8;
+      `;
+      b.onclick = (e) => {
+        e.stopPropagation();
+        onClick();
+      };
+      return b;
+    };
+
+    // отказ сервера (например, нужен вход администратора) — коротко в заголовке
+    const showRequestError = (res) => {
+      if (!res?.error) return;
+      const text = title.textContent;
+      title.textContent = `⚠ ${res.error}`;
+      setTimeout(() => {
+        if (title.textContent === `⚠ ${res.error}`) title.textContent = text;
+      }, 3000);
+    };
+
+    const exportCsvBtn = mkHeaderBtn('CSV', 'Export reception log (CSV)', () => exportLog('csv').then(showRequestError));
+    const exportFmlistBtn = mkHeaderBtn('FMLIST', 'Export reception log (FMLIST)', () => exportLog('fmlist').then(showRequestError));
+    const hiddenBtn = mkHeaderBtn('Hidden', 'Show hidden stations', () => toggleHiddenView());
+
     const list = document.createElement('div');
     list.style.cssText = `
       overflow-y: auto;
@@ -265,11 +475,168 @@
       gap: 6px;
     `;
 
-    candidates.forEach((c, index) => {
+    let listItems = [];
+    let listLabel = '';
+    let listCtx = ctx;
+
+    let showingHidden = false;
+
+    function renderList(items, label, itemsCtx = listCtx) {
+      showingHidden = false;
+      hiddenBtn.textContent = 'Hidden';
+      listItems = items;
+      listLabel = label;
+      listCtx = itemsCtx;
+      list.innerHTML = '';
+      title.textContent = `${label ? `${label} · ` : ''}Stations (${items.length})`;
+      items.forEach(renderItem);
+    }
+
+    async function toggleConfirm(c) {
+      const freq = listCtx.freq ?? c.freq;
+      const key = c.confirmed ? null : c.key;
+      const res = await confirmCandidate({ ...listCtx, freq }, key);
+      showRequestError(res);
+      if (!res || res.error) return;
+
+      const confirmedKey = res.confirmed?.key || null;
+      const items = listItems.map((it) => ({ ...it, confirmed: it.key === confirmedKey }));
+      items.sort((a, b) => Number(b.confirmed) - Number(a.confirmed));
+      renderList(items, listLabel);
+    }
+
+    async function hideItem(c, antennaOnly) {
+      const freq = listCtx.freq ?? c.freq;
+      const res = await hideStation({ ...listCtx, freq }, c.key, antennaOnly);
+      showRequestError(res);
+      if (!res || res.error) return;
+      renderList(listItems.filter((it) => it.key !== c.key), listLabel);
+    }
+
+    async function toggleHiddenView() {
+      if (!showingHidden) {
+        const res = await listHiddenStations();
+        if (res && !res.error) renderHiddenList(res.hidden || []);
+        return;
+      }
+
+      // возвращаемся к списку — перезапрашиваем, вдруг что-то восстановили
+      const freq = listCtx.freq ?? listItems[0]?.freq;
+      const res = Number.isFinite(Number(freq)) ? await queryStations(freq, listCtx.pi, listCtx.ant) : null;
+      renderList(res && !res.error ? res.list || [] : listItems, listLabel);
+    }
+
+    function renderHiddenList(entries) {
+      showingHidden = true;
+      hiddenBtn.textContent = 'Back';
+      list.innerHTML = '';
+      title.textContent = `Hidden (${entries.length})`;
+
+      entries.forEach((h) => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+          display: grid;
+          grid-template-columns: 1fr auto;
+          gap: 8px;
+          align-items: center;
+          padding: 6px;
+          border-radius: 4px;
+          background: var(--color-3, #1a1a1a);
+          color: var(--color-text);
+        `;
+
+        const info = document.createElement('div');
+        const name = document.createElement('div');
+        name.style.fontWeight = '600';
+        name.textContent = h.station || h.key;
+        const details = document.createElement('div');
+        details.style.cssText = 'font-size:12px; opacity:.8;';
+        details.textContent = `${h.freq ?? '?'} MHz · ${h.location || ''} · ${h.itu || ''} · ${h.ant === null || h.ant === undefined ? 'all antennas' : `antenna ${h.ant}`}`;
+        info.append(name, details);
+
+        row.append(info, mkItemBtn('↺', 'Restore', false, async () => {
+          const res = await unhideStation(h.key, h.freq, h.ant ?? null);
+          showRequestError(res);
+          if (res && !res.error) renderHiddenList(res.hidden || []);
+        }));
+        list.appendChild(row);
+      });
+    }
+
+    async function showLogoDebug(c) {
+      const res = await logoDebug(c);
+      if (!res || res.error) return;
+
+      // как и список скрытых — кнопка Back возвращает к станциям
+      showingHidden = true;
+      hiddenBtn.textContent = 'Back';
+      list.innerHTML = '';
+      title.textContent = `Logo · ${c.station || '—'}`;
+
+      const mkRow = (src, text, details, highlight) => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+          display: grid;
+          grid-template-columns: 40px 1fr;
+          gap: 8px;
+          align-items: center;
+          padding: 6px;
+          border-radius: 4px;
+          background: var(--color-3, #1a1a1a);
+          color: var(--color-text);
+          opacity: ${highlight ? '1' : '0.7'};
+        `;
+        const img = document.createElement('img');
+        img.src = src || '';
+        img.style.cssText = 'width:40px; height:40px; object-fit:contain;';
+        const info = document.createElement('div');
+        const name = document.createElement('div');
+        name.style.fontWeight = '600';
+        name.textContent = text;
+        const sub = document.createElement('div');
+        sub.style.cssText = 'font-size:12px; opacity:.8;';
+        sub.textContent = details;
+        info.append(name, sub);
+        row.append(img, info);
+        list.appendChild(row);
+      };
+
+      mkRow(res.url, `Chosen: ${res.via}`, res.url, true);
+      if (!res.matches?.length) {
+        mkRow('', 'No matching files', `threshold ${res.threshold}`, false);
+        return;
+      }
+      res.matches.forEach((m) => {
+        const pi = m.piMatch === true ? ' · PI ✓' : m.piMatch === false ? ' · PI ✗' : '';
+        mkRow(m.url, m.file, `${m.score.toFixed(2)}${m.score >= res.threshold ? ' ≥' : ' <'} ${res.threshold} · ${m.source}${pi}`, m.score >= res.threshold);
+      });
+    }
+
+    const mkItemBtn = (text, titleText, active, onClick) => {
+      const b = document.createElement('div');
+      b.textContent = text;
+      b.title = titleText;
+      b.style.cssText = `
+        cursor: pointer;
+        font-size: 16px;
+        padding: 0 4px;
+        color: ${active ? 'var(--color-main-bright, #4caf50)' : 'var(--color-text)'};
+        opacity: ${active ? '1' : '0.5'};
+      `;
+      b.onmouseenter = () => (b.style.opacity = '1');
+      b.onmouseleave = () => (b.style.opacity = active ? '1' : '0.5');
+      b.onclick = (e) => {
+        e.stopPropagation();
+        onClick(e);
+      };
+      return b;
+    };
+
+    function renderItem(c) {
       const item = document.createElement('div');
       item.style.cssText = `
         display: grid;
-        grid-template-columns: 56px 1fr auto;
+        grid-template-columns: 56px 1fr auto auto;
         gap: 8px;
         align-items: center;
         padding: 6px;
@@ -278,6 +645,15 @@
         background: var(--color-3, #1a1a1a);
       `;
 
+      if (c.outOfBeam) {
+        item.style.opacity = '0.6';
+        item.title = 'Outside the antenna beam';
+      }
+      if (c.offAir) {
+        item.style.opacity = '0.5';
+        item.title = 'Off air by schedule';
+      }
+
       item.onmouseenter = () => item.style.background = 'var(--color-4, #2a2a2a)';
       item.onmouseleave = () => item.style.background = 'var(--color-3, #1a1a1a)';
 
@@ -288,6 +664,12 @@
         height: 50px;
         object-fit: contain;
       `;
+      logo.title = 'Alt+click — why this logo';
+      logo.onclick = (e) => {
+        if (!e.altKey) return;
+        e.stopPropagation();
+        showLogoDebug(c);
+      };
 
       const info = document.createElement('div');
       info.innerHTML = `
@@ -296,6 +678,24 @@
           ${c.location || ''} · ${c.itu || ''} · ${c.azimuth ?? '?'}°
         </div>
       `;
+      if (c.pi) {
+        const piLine = document.createElement('div');
+        piLine.style.cssText = 'font-size:12px; opacity:.8; color: var(--color-text);';
+        piLine.appendChild(renderPi(c.pi, listCtx.pi));
+        info.appendChild(piLine);
+      }
+      // в каких базах есть станция и в чём они расходятся
+      if (c.sources?.length) {
+        const srcLine = document.createElement('div');
+        srcLine.style.cssText = 'font-size:11px; opacity:.6; color: var(--color-text);';
+        srcLine.textContent = c.sources.join(' + ');
+        if (c.conflicts?.length) {
+          srcLine.textContent += ` · ⚠ ${c.conflicts.map((x) => x.field).join(', ')}`;
+          srcLine.title = formatConflicts(c.conflicts);
+          srcLine.style.opacity = '0.9';
+        }
+        info.appendChild(srcLine);
+      }
 
       const meta = document.createElement('div');
       meta.style.cssText = `
@@ -304,9 +704,31 @@
         white-space: nowrap;
         color: var(--color-text);
       `;
-      meta.textContent = `${c.pol ? `[${c.pol.toUpperCase()}] ·` : ''}  ${c.erp ?? '?'} kW · ${c.distance ?? '?'} km`;
+      const confidence = formatConfidence(c);
+      meta.textContent = `${c.pol ? `[${c.pol.toUpperCase()}] ·` : ''}  ${c.erp ?? '?'} kW · ${c.distance ?? '?'} km${c.freqOffsetKHz ? ` · ${c.freqOffsetKHz > 0 ? '+' : ''}${c.freqOffsetKHz} kHz` : ''}${c.dx ? ' · DX' : ''}${c.offAir ? ' · off air' : ''}${confidence ? ` · ${confidence}` : ''}`;
+
+      // ожидаемый уровень по модели распространения
+      if (Number.isFinite(c.expected)) {
+        const expected = document.createElement('div');
+        expected.textContent = `≈ ${c.expected} dBµV${c.levelMismatch ? ' ⚠' : ''}`;
+        expected.title = c.levelMismatch
+          ? `Expected level is far from the measured ${listCtx.signal ?? '?'} dBµV`
+          : 'Expected level';
+        expected.style.textAlign = 'right';
+        meta.appendChild(expected);
+      }
 
-      item.append(logo, info, meta);
+      const actions = document.createElement('div');
+      actions.style.cssText = `
+        display: flex;
+        align-items: center;
+      `;
+      if (c.key) {
+        actions.append(mkItemBtn('✓', c.confirmed ? 'Confirmed (click to undo)' : 'This is it', c.confirmed, () => toggleConfirm(c)));
+        actions.append(mkItemBtn('⊘', 'Hide this station (Shift+click — only on this antenna)', false, (e) => hideItem(c, e.shiftKey)));
+      }
+
+      item.append(logo, info, meta, actions);
 
       item.onclick = (e) => {
         e.stopPropagation();
@@ -316,9 +738,11 @@
       };
 
       list.appendChild(item);
-    });
+    }
 
-    header.append(title, closeBtn);
+    renderList(candidates, '', ctx);
+
+    header.append(title, lookup, hiddenBtn, exportCsvBtn, exportFmlistBtn, closeBtn);
     panel.append(header, list);
     overlay.appendChild(panel);
     document.body.appendChild(overlay);
@@ -370,9 +794,20 @@
     setText('data-station-distance', Number(c.distance ?? 0) + ' km');
 
     const otherStations = byId(dataStationContainer, 'data-station-azimuth').parentNode
-    const elements = document.querySelectorAll('#other-stations-no-rds');
+    const elements = document.querySelectorAll('#other-stations-no-rds, #confidence-no-rds');
     elements.forEach(el => el.remove());
 
+    const confidence = formatConfidence(c)
+    if (c.confirmed || (confidence && currentCandidates.length > 1)) {
+      const docConfidence = document.createElement('span')
+      docConfidence.id = 'confidence-no-rds'
+      docConfidence.style.opacity = `0.8`
+      docConfidence.style.padding = `0px 4px`
+      docConfidence.title = c.confirmed ? 'Confirmed' : 'Confidence'
+      docConfidence.textContent = c.confirmed ? '✓' : confidence
+      otherStations.appendChild(docConfidence)
+    }
+
     const docOtherSt = document.createElement('span')
     docOtherSt.id = 'other-stations-no-rds'
     docOtherSt.style.background = `var(--color-4)`
@@ -387,7 +822,7 @@
       docOtherSt.addEventListener('click', (event) => {
         event.stopPropagation()
 
-        showStationsOverlay(currentCandidates);
+        showStationsOverlay(currentCandidates, currentFind);
       })
     }
 
@@ -439,14 +874,115 @@
 
   /* ================= DATA_PLUGINS WS ================= */
 
-  const pluginName = 'StationsWithoutRDS';
+  let ws = null;
 
-  const url = new URL(location.href);
-  const protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
-  const basePath = url.pathname.replace(/setup/g, '').replace(/\/?$/, '/');
-  const WS_URL = `${protocol}//${url.host}${basePath}data_plugins`;
+  /* ================= REQUESTS ================= */
+
+  // /data_plugins рассылает всем — ответ узнаём по своему id
+  const pendingRequests = new Map(); // id -> { resolve, timer }
+  const REQUEST_TIMEOUT_MS = 10000;
+
+  // false — сервер без HTTP-маршрута плагина (404), дальше только через WS
+  let httpRequests = true;
+
+  async function sendRequest(action, params = {}) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+    if (httpRequests) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+      try {
+        const res = await fetch(REQUEST_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action, id, ...params }),
+          signal: controller.signal,
+        });
+        if (res.status !== 404) return await res.json();
+        httpRequests = false;
+      } catch {
+        return null;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
 
-  let ws = null;
+    return sendWsRequest(id, action, params);
+  }
+
+  function sendWsRequest(id, action, params) {
+    return new Promise((resolve) => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        resolve(null);
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        pendingRequests.delete(id);
+        resolve(null);
+      }, REQUEST_TIMEOUT_MS);
+
+      pendingRequests.set(id, { resolve, timer });
+      ws.send(JSON.stringify({ type: pluginName, value: { action, id, ...params } }));
+    });
+  }
+
+  function resolveRequest(v) {
+    const pending = pendingRequests.get(v?.id);
+    if (!pending) return false;
+
+    clearTimeout(pending.timer);
+    pendingRequests.delete(v.id);
+    pending.resolve(v);
+    return true;
+  }
+
+  function queryStations(freq, pi, ant) {
+    return sendRequest('query', { freq, pi: pi || null, ant: ant ?? null });
+  }
+
+  // PI и ECC — те, с которыми получен список: по ним сервер снова найдёт кандидата
+  function confirmCandidate(ctx, key) {
+    const { freq, ant, pi, ecc } = ctx;
+    return sendRequest('confirm', { freq, ant: ant ?? null, pi: pi || null, ecc: ecc || null, key: key || null });
+  }
+
+  function hideStation(ctx, key, antennaOnly) {
+    const { freq, ant, pi, ecc } = ctx;
+    return sendRequest('hide', { freq, ant: ant ?? null, pi: pi || null, ecc: ecc || null, key, antennaOnly: !!antennaOnly });
+  }
+
+  function unhideStation(key, freq, ant) {
+    return sendRequest('unhide', { key, freq, ant });
+  }
+
+  function listHiddenStations() {
+    return sendRequest('listHidden');
+  }
+
+  function logoDebug(candidate) {
+    const { station, itu, pi, idStation, isCustom } = candidate || {};
+    return sendRequest('logoDebug', { candidate: { station, itu, pi, idStation, isCustom } });
+  }
+
+  function downloadText(filename, content, mime) {
+    const blob = new Blob([content], { type: `${mime || 'text/plain'};charset=utf-8` });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  async function exportLog(format) {
+    const res = await sendRequest('exportLog', { format });
+    if (res && !res.error) downloadText(res.filename, res.content, res.mime);
+    return res;
+  }
+
+  window.StationsWithoutRDS = { query: queryStations, exportLog, logoDebug };
 
   function connectDataWS() {
     ws = new WebSocket(WS_URL);
@@ -459,9 +995,15 @@
 
       const v = msg.value;
 
-      // Оставляем только find
+      // ответы на наши запросы (чужие игнорируем)
+      if (v?.id && String(v?.action || '').endsWith('Result')) {
+        resolveRequest(v);
+        return;
+      }
+
       if (v?.action === 'find') {
         loc = v?.loc
+        currentFind = { freq: v?.freq ?? null, ant: v?.ant ?? null, pi: v?.pi ?? null, ecc: v?.ecc ?? null, signal: v?.signal ?? null };
         showCandidates(v.list, v?.isServer || false);
         return;
       }
@@ -0,0 +1,92 @@
+'use strict';
+
+/*
+ * Сборка офлайн-набора станций для приёмника без интернета.
+ * Берёт базы, уже загруженные в кэш на диске (и свои файлы из "sources"),
+ * и сохраняет места в заданном радиусе одним файлом. Сеть не используется.
+ *
+ *   node plugins/StationsWithoutRDS/pluginStationsWithoutRDS_bundle.js [options]
+ *
+ *   --radius KM      радиус от центра (по умолчанию maxDistanceKm из конфига)
+ *   --qth LAT,LON    центр набора (по умолчанию текущий QTH)
+ *   --out PATH       куда писать (по умолчанию plugins_configs/StationsWithoutRDS_bundle.json)
+ *   --no-logos       без индекса логотипов
+ */
+
+const path = require('path');
+const { writeFileAtomicSync } = require('./pluginStationsWithoutRDS_config');
+
+/* ================= BUNDLE ================= */
+
+function createBundle(opts = {}) {
+  process.env.STATIONS_WITHOUT_RDS_REPLAY = '1';
+  const { buildOfflineBundle } = require('./pluginStationsWithoutRDS_server');
+
+  const bundle = buildOfflineBundle({
+    lat: opts.lat,
+    lon: opts.lon,
+    radiusKm: opts.radiusKm,
+    logos: opts.logos !== false,
+  });
+
+  writeFileAtomicSync(opts.out, JSON.stringify(bundle));
+
+  const locations = Object.values(bundle.locations);
+  return {
+    locations: locations.length,
+    stations: locations.reduce((n, loc) => n + (loc.stations?.length || 0), 0),
+    logos: Object.keys(bundle.logos).length,
+    sources: bundle.sources,
+  };
+}
+
+/* ================= CLI ================= */
+
+function parseArgs(argv) {
+  const opts = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--radius') opts.radiusKm = Number(argv[++i]);
+    else if (a === '--qth') {
+      const [lat, lon] = String(argv[++i] || '').split(',').map(Number);
+      opts.lat = lat;
+      opts.lon = lon;
+    } else if (a === '--out') opts.out = argv[++i];
+    else if (a === '--no-logos') opts.logos = false;
+    else return null;
+  }
+
+  if (opts.radiusKm !== undefined && !(opts.radiusKm > 0)) return null;
+  return opts;
+}
+
+if (require.main === module) {
+  const opts = parseArgs(process.argv.slice(2));
+
+  if (!opts) {
+    console.log('Usage: node pluginStationsWithoutRDS_bundle.js [--radius KM] [--qth LAT,LON] [--out PATH] [--no-logos]');
+    process.exit(1);
+  }
+
+  if (!opts.out) {
+    const rootDir = process.env.STATIONS_WITHOUT_RDS_ROOT || path.join(__dirname, '..', '..');
+    opts.out = path.join(rootDir, 'plugins_configs', 'StationsWithoutRDS_bundle.json');
+  }
+
+  try {
+    const { locations, stations, logos, sources } = createBundle(opts);
+    console.error(
+      `[StationsWithoutRDS] bundle: ${locations} locations, ${stations} stations, ${logos} logos ` +
+      `from ${sources.join(', ') || 'no sources'} -> ${opts.out}`
+    );
+    process.exit(0);
+  } catch (e) {
+    console.error('[StationsWithoutRDS] bundle failed:', e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createBundle,
+};
@@ -0,0 +1,695 @@
+'use strict';
+
+/*
+ * Конфиг StationsWithoutRDS.json: схема и значения по умолчанию,
+ * миграция старых имён ключей, проверка полей с понятными ошибками
+ * и сервис, который следит за файлом и сообщает об изменениях.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+/* ================= DEFAULTS ================= */
+
+// текущая версия формата файла
+const CONFIG_FORMAT_VERSION = 2;
+
+const defaultConfig = {
+  version: CONFIG_FORMAT_VERSION,
+  mode: 1,
+  myStations: [],
+  thresholdSignal: 10, // dBµV
+  stableTime: 3, // seconds
+  maxDistanceKm: 500, // km
+  refreshStationsHours: 24, // hours
+};
+
+/* ================= MIGRATION ================= */
+
+// старые имена ключей -> новые; старые по-прежнему принимаются
+const RENAMED_KEYS = {
+  myStantions: 'myStations',
+  refreshStationsMs: 'refreshStationsHours',
+};
+
+// переименование с сохранением порядка ключей — файл правят руками
+function renameKey(obj, from, to) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) out[k === from ? to : k] = v;
+  return out;
+}
+
+// "99,4" -> "99.4", "87.5 - 108" -> "87.5-108", "ALL" -> "all"
+function normalizeThresholdKey(key) {
+  return String(key).trim().toLowerCase().replace(/,/g, '.').replace(/\s+/g, '');
+}
+
+/**
+ * Приводит сырой конфиг к текущему формату.
+ * Возвращает { config, notes } — notes пустой, если менять нечего.
+ */
+function migrateConfig(raw) {
+  let cfg = { ...raw };
+  const notes = [];
+
+  for (const [from, to] of Object.entries(RENAMED_KEYS)) {
+    if (!(from in cfg)) continue;
+    if (to in cfg) {
+      delete cfg[from];
+      notes.push(`"${from}" dropped: "${to}" is already set`);
+    } else {
+      cfg = renameKey(cfg, from, to);
+      notes.push(`"${from}" renamed to "${to}"`);
+    }
+  }
+
+  const map = cfg.thresholdSignals;
+  if (map && typeof map === 'object' && !Array.isArray(map)) {
+    const fixed = {};
+    for (const [key, value] of Object.entries(map)) {
+      const nk = normalizeThresholdKey(key);
+      if (nk !== key) notes.push(`thresholdSignals key "${key}" renamed to "${nk}"`);
+      if (!(nk in fixed)) fixed[nk] = value;
+    }
+    cfg.thresholdSignals = fixed;
+  }
+
+  const version = Number(cfg.version) || 1;
+  if (version < CONFIG_FORMAT_VERSION) {
+    const { version: _old, ...rest } = cfg;
+    cfg = { version: CONFIG_FORMAT_VERSION, ...rest };
+    notes.push(`format version ${version} -> ${CONFIG_FORMAT_VERSION}`);
+  }
+
+  return { config: cfg, notes };
+}
+
+/* ================= SCHEMA ================= */
+
+// правило: { type, required, min, max, oneOf, items, fields, keys, values, check }
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+
+function checkPolarization(v) {
+  return /^[HVMC]+$/i.test(v) ? null : 'expected H, V, M or C';
+}
+
+function checkPi(v) {
+  return /^[0-9A-F?]{4}$/i.test(v) ? null : 'expected 4 hex digits';
+}
+
+function checkTimezone(v) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: v });
+    return null;
+  } catch {
+    return `unknown timezone "${v}"`;
+  }
+}
+
+function checkClock(v) {
+  const m = String(v).trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  const ok = m && Number(m[1]) * 60 + Number(m[2] || 0) <= 24 * 60 && Number(m[2] || 0) < 60;
+  return ok ? null : 'expected time as HH:MM';
+}
+
+function checkDays(v) {
+  if (typeof v === 'string' || Array.isArray(v)) return null;
+  return 'expected "mon-fri", "sat,sun", "daily" or an array';
+}
+
+// ключи thresholdSignals: "all", частота или диапазон "a-b"
+function checkThresholdKey(key) {
+  if (key === 'all') return null;
+  const parts = key.split('-');
+  if (parts.length <= 2 && parts.every((p) => p !== '' && Number.isFinite(Number(p)))) return null;
+  return 'expected "all", a frequency ("99.4") or a range ("87.5-108")';
+}
+
+const scheduleSlotRule = {
+  type: 'object',
+  fields: {
+    days: { type: 'any', check: checkDays },
+    from: str({ check: checkClock }),
+    to: str({ check: checkClock }),
+  },
+};
+
+const stationRule = {
+  type: 'object',
+  fields: {
+    freq: num({ required: true, min: 0 }),
+    station: str(),
+    location: str(),
+    itu: str(),
+    lat: num({ min: -90, max: 90 }),
+    lon: num({ min: -180, max: 180 }),
+    distance: num({ min: 0 }),
+    azimuth: num({ min: 0, max: 360 }),
+    pol: str({ check: checkPolarization }),
+    erp: num({ min: 0 }),
+    height: num({ min: 0 }),
+    antenna: num({ min: 0 }),
+    ant: num({ min: 0 }),
+    pi: str({ check: checkPi }),
+    schedule: { type: 'array', items: scheduleSlotRule },
+    timezone: str({ check: checkTimezone }),
+    logoUrl: str(),
+  },
+};
+
+const antennaRule = {
+  type: 'object',
+  fields: {
+    antenna: num({ min: 0 }),
+    ant: num({ min: 0 }),
+    name: str(),
+    azimuth: num({ min: 0, max: 360 }),
+    beamwidth: num({ min: 1, max: 360 }),
+    frontToBack: num({ min: 0 }),
+    pol: str({ check: checkPolarization }),
+    gain: num(),
+    outOfBeam: str({ oneOf: ['demote', 'hide'] }),
+  },
+};
+
+const bandRule = {
+  type: 'object',
+  fields: {
+    name: str(),
+    min: num({ required: true, min: 0 }),
+    max: num({ required: true, min: 0 }),
+    stepKHz: num({ required: true, min: 1 }),
+    toleranceKHz: num({ min: 0 }),
+  },
+  check: (b) => (b.min < b.max ? null : '"min" must be less than "max"'),
+};
+
+const SOURCE_TYPES = ['maps', 'fmlist', 'fmlistLogos', 'noobish', 'file', 'http'];
+
+// false или "" — без прокси
+function checkProxy(v) {
+  return v === false || typeof v === 'string' ? null : 'expected a URL prefix or false';
+}
+
+const sourceRule = {
+  type: 'object',
+  fields: {
+    type: str({ required: true, oneOf: SOURCE_TYPES }),
+    name: str(),
+    enabled: { type: 'boolean' },
+    priority: num(),
+    url: str(),
+    path: str(),
+    proxy: { type: 'any', check: checkProxy },
+    refreshHours: num({ min: 0.1 }),
+  },
+  check: (s) => {
+    if (s.type === 'file' && !s.path) return '"path" is required for type "file"';
+    if (s.type === 'http' && !s.url) return '"url" is required for type "http"';
+    return null;
+  },
+};
+
+// имя источника (или тип) — ключ его кэша на диске, повторяться не должно
+function checkSourceNames(list) {
+  const seen = new Set();
+  for (const s of list) {
+    const id = s.name || s.type;
+    if (seen.has(id)) return `duplicate source "${id}", give each one a distinct "name"`;
+    seen.add(id);
+  }
+  return null;
+}
+
+const configSchema = {
+  version: num({ min: 1 }),
+  mode: num({ oneOf: [1, 2, 3] }),
+  myStations: { type: 'array', items: stationRule },
+  thresholdSignal: num(),
+  thresholdSignals: { type: 'object', keys: checkThresholdKey, values: num() },
+  stableTime: num({ min: 0 }),
+  maxDistanceKm: num({ min: 0 }),
+  refreshStationsHours: num({ min: 0.1 }),
+  polarization: str({ check: checkPolarization }),
+  levelToleranceDb: num({ min: 0 }),
+  antennas: { type: 'array', items: antennaRule },
+  bandPlan: str(),
+  bandPlans: { type: 'object', values: { type: 'array', items: bandRule } },
+  qth: {
+    type: 'object',
+    fields: {
+      source: str({ oneOf: ['config', 'plugin', 'gpsd'] }),
+      lat: num({ min: -90, max: 90 }),
+      lon: num({ min: -180, max: 180 }),
+      host: str(),
+      port: num({ min: 1, max: 65535 }),
+      minMoveKm: num({ min: 0 }),
+    },
+  },
+  timezone: str({ check: checkTimezone }),
+  scheduleMode: str({ oneOf: ['demote', 'hide'] }),
+  logoUrls: { type: 'object', values: str() },
+  logoMirror: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      refreshHours: num({ min: 1 }),
+    },
+  },
+  sources: { type: 'array', items: sourceRule, check: checkSourceNames },
+  offlineBundle: str(),
+  recorder: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      file: str(),
+      maxSizeMb: num({ min: 0 }),
+    },
+  },
+  receptionLog: {
+    type: 'object',
+    fields: {
+      maxSizeMb: num({ min: 0 }),
+    },
+  },
+};
+
+/* ================= VALIDATION ================= */
+
+function describe(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'an array';
+  if (typeof v === 'string') return `"${v.length > 20 ? `${v.slice(0, 20)}…` : v}"`;
+  return typeof v === 'object' ? 'an object' : String(v);
+}
+
+// расстояние Левенштейна — подсказка при опечатке в ключе, похожесть названий логотипов
+function editDistance(a, b) {
+  const dp = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0];
+    dp[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = dp[j];
+      dp[j] = Math.min(dp[j] + 1, dp[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return dp[b.length];
+}
+
+function unknownKeyMessage(key, known) {
+  const lower = key.toLowerCase();
+  const guess = known
+    .map((k) => [k, editDistance(lower, k.toLowerCase())])
+    .filter(([, d]) => d <= 2)
+    .sort((a, b) => a[1] - b[1])[0];
+  return `unknown key "${key}"${guess ? ` (did you mean "${guess[0]}"?)` : ''}`;
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Проверяет значение по правилу. Ошибки и предупреждения — в report.
+ * { ok: false } — значение непригодно и должно быть отброшено.
+ */
+function validateValue(value, rule, at, report) {
+  const fail = (msg) => {
+    report.errors.push(`${at}: ${msg}`);
+    return { ok: false };
+  };
+
+  let v = value;
+
+  if (rule.type === 'number') {
+    // "104.7" в кавычках — частая ошибка, принимаем
+    if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) v = Number(v);
+    if (typeof v !== 'number' || !Number.isFinite(v)) return fail(`expected a number, got ${describe(value)}`);
+    if (rule.min !== undefined && v < rule.min) return fail(`must be >= ${rule.min}`);
+    if (rule.max !== undefined && v > rule.max) return fail(`must be <= ${rule.max}`);
+    if (rule.oneOf && !rule.oneOf.includes(v)) return fail(`must be one of ${rule.oneOf.join(', ')}`);
+  } else if (rule.type === 'string') {
+    if (typeof v === 'number') v = String(v);
+    if (typeof v !== 'string') return fail(`expected a string, got ${describe(value)}`);
+    if (rule.oneOf) {
+      const match = rule.oneOf.find((o) => o.toLowerCase() === v.trim().toLowerCase());
+      if (!match) return fail(`must be one of ${rule.oneOf.join(', ')}`);
+      v = match;
+    }
+  } else if (rule.type === 'boolean') {
+    if (typeof v !== 'boolean') return fail(`expected true or false, got ${describe(value)}`);
+  } else if (rule.type === 'array') {
+    if (!Array.isArray(v)) return fail(`expected an array, got ${describe(value)}`);
+    if (rule.items) {
+      v = v
+        .map((item, i) => validateValue(item, rule.items, `${at}[${i}]`, report))
+        .filter((r) => r.ok)
+        .map((r) => r.value);
+    }
+  } else if (rule.type === 'object') {
+    if (!isPlainObject(v)) return fail(`expected an object, got ${describe(value)}`);
+    const out = {};
+
+    for (const [key, item] of Object.entries(v)) {
+      const path = `${at}.${key}`;
+
+      if (rule.fields) {
+        const fieldRule = rule.fields[key];
+        if (!fieldRule) {
+          report.warnings.push(`${at}: ${unknownKeyMessage(key, Object.keys(rule.fields))}`);
+          out[key] = item;
+          continue;
+        }
+        // null — «не задано»
+        if (item === null) continue;
+        const r = validateValue(item, fieldRule, path, report);
+        if (r.ok) out[key] = r.value;
+        continue;
+      }
+
+      if (rule.keys) {
+        const msg = rule.keys(key);
+        if (msg) {
+          report.errors.push(`${path}: ${msg}`);
+          continue;
+        }
+      }
+      if (rule.values) {
+        const r = validateValue(item, rule.values, path, report);
+        if (r.ok) out[key] = r.value;
+        continue;
+      }
+      out[key] = item;
+    }
+
+    for (const [key, fieldRule] of Object.entries(rule.fields || {})) {
+      if (fieldRule.required && !(key in out)) {
+        return fail(key in v ? `invalid "${key}", entry skipped` : `missing "${key}", entry skipped`);
+      }
+    }
+    v = out;
+  }
+
+  if (rule.check) {
+    const msg = rule.check(v);
+    if (msg) return fail(msg);
+  }
+
+  return { ok: true, value: v };
+}
+
+/**
+ * Проверяет конфиг целиком. Неверные поля заменяются значениями
+ * по умолчанию (или отбрасываются), остальное сохраняется.
+ * Возвращает { config, errors, warnings }.
+ */
+function validateConfig(raw) {
+  const report = { errors: [], warnings: [] };
+  const config = {};
+
+  if (!isPlainObject(raw)) {
+    report.errors.push(`expected a JSON object, got ${describe(raw)}`);
+    return { config: JSON.parse(JSON.stringify(defaultConfig)), ...report };
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    const rule = configSchema[key];
+    if (!rule) {
+      report.warnings.push(unknownKeyMessage(key, Object.keys(configSchema)));
+      config[key] = value;
+      continue;
+    }
+    const r = validateValue(value, rule, key, report);
+    if (r.ok) config[key] = r.value;
+  }
+
+  if (Number(config.version) > CONFIG_FORMAT_VERSION) {
+    report.warnings.push(`format version ${config.version} is newer than supported ${CONFIG_FORMAT_VERSION}`);
+  }
+
+  for (const [key, value] of Object.entries(defaultConfig)) {
+    if (!(key in config)) config[key] = JSON.parse(JSON.stringify(value));
+  }
+
+  return { config, ...report };
+}
+
+/**
+ * JSON.parse с номером строки и столбца в ошибке.
+ */
+function parseConfigText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const m = String(e.message).match(/position (\d+)/);
+    if (!m) throw new Error(`invalid JSON: ${e.message}`);
+    const before = text.slice(0, Number(m[1])).split('\n');
+    throw new Error(`invalid JSON at line ${before.length}, column ${before[before.length - 1].length + 1}: ${e.message}`);
+  }
+}
+
+/* ================= SERVICE ================= */
+
+// правки в редакторе приходят пачкой событий — ждём, пока запись закончится
+const WATCH_DEBOUNCE_MS = 200;
+// запасной опрос, если fs.watch недоступен (сетевые ФС и т.п.)
+const WATCH_POLL_MS = 2000;
+
+const writeJson = (file, obj) => fs.writeFileSync(file, JSON.stringify(obj, null, 2), 'utf8');
+
+// файл заменяется целиком — читатель никогда не увидит его недописанным
+function writeFileAtomicSync(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, data, typeof data === 'string' ? 'utf8' : undefined);
+  fs.renameSync(tmp, file);
+}
+
+const writeJsonAtomic = (file, obj) => writeFileAtomicSync(file, JSON.stringify(obj, null, 2));
+
+/**
+ * Сервис конфига: загружает файл один раз, следит за ним и проверяет правки.
+ *
+ *   service.config        — текущий проверенный конфиг
+ *   service.status        — { ok, version, checkedAt, errors, warnings, migrated, usingLastGood }
+ *   service.saveMigrated() — записать переведённый на новый формат файл
+ *   'change' (config)     — содержимое конфига изменилось
+ *   'status' (status)     — файл перечитан (в том числе неудачно)
+ *
+ * Битый JSON не сбрасывает конфиг: остаётся последний исправный,
+ * при старте — его копия из lastGoodFile.
+ * Старый формат переводится только в памяти; файл пользователя
+ * переписывается лишь по явному saveMigrated() (кнопка на /setup).
+ * readOnly — ничего не пишет на диск.
+ */
+function createConfigService({ file, lastGoodFile, logInfo = () => {}, logError = () => {}, readOnly = false }) {
+  const service = new EventEmitter();
+  const tag = '[StationsWithoutRDS]';
+
+  let lastText;
+  let lastJson = null;
+  let watcher = null;
+  let pollTimer = null;
+  let debounceTimer = null;
+
+  service.status = {
+    ok: true,
+    version: CONFIG_FORMAT_VERSION,
+    checkedAt: 0,
+    errors: [],
+    warnings: [],
+    migrated: [],
+    migrationPending: false,
+    usingLastGood: false,
+  };
+
+  /**
+   * Переводит файл на новый формат по запросу пользователя, исходник
+   * остаётся рядом (.v1.bak). Возвращает { saved, notes, backup }.
+   */
+  service.saveMigrated = () => {
+    if (readOnly) throw new Error('config is read-only');
+
+    const text = fs.readFileSync(file, 'utf8');
+    const raw = parseConfigText(text);
+    const fromVersion = Number(raw?.version) || 1;
+    const migration = migrateConfig(raw);
+    if (!migration.notes.length) return { saved: false, notes: [], backup: null };
+
+    const backup = `${file}.v${fromVersion}.bak`;
+    if (!fs.existsSync(backup)) fs.writeFileSync(backup, text, 'utf8');
+    writeJsonAtomic(file, migration.config);
+    for (const note of migration.notes) logInfo(`${tag} config migrated: ${note}`);
+
+    service.reload();
+    return { saved: true, notes: migration.notes, backup };
+  };
+
+  function readLastGood() {
+    try {
+      const { config } = migrateConfig(parseConfigText(fs.readFileSync(lastGoodFile, 'utf8')));
+      return validateConfig(config).config;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Читает файл, если он изменился.
+   * undefined — файл тот же; null — непригоден; иначе — проверенный конфиг.
+   */
+  function load() {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch {
+      text = null;
+    }
+    if (text === lastText) return undefined;
+    lastText = text;
+
+    let raw;
+    try {
+      if (text === null) throw new Error(`cannot read ${path.basename(file)}`);
+      raw = parseConfigText(text);
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('expected a JSON object at the top level');
+      }
+    } catch (e) {
+      // битый JSON не должен обнулять список станций
+      logError(`${tag} config: ${e.message}; keeping the last good configuration`);
+      service.status = {
+        ...service.status,
+        ok: false,
+        checkedAt: Date.now(),
+        errors: [e.message],
+        warnings: [],
+        migrated: [],
+        migrationPending: false,
+        usingLastGood: true,
+      };
+      return null;
+    }
+
+    // файл не трогаем: старый формат читается в память, сохранить — по кнопке на /setup
+    const migration = migrateConfig(raw);
+    if (migration.notes.length) {
+      logInfo(`${tag} config uses an old format (${migration.notes.length} changes applied in memory); save it from /setup`);
+    }
+
+    const { config, errors, warnings } = validateConfig(migration.config);
+    for (const msg of errors) logError(`${tag} config: ${msg}`);
+    for (const msg of warnings) logError(`${tag} config warning: ${msg}`);
+
+    if (!readOnly) {
+      try {
+        writeJson(lastGoodFile, migration.config);
+      } catch (e) {
+        logError(`${tag} config backup write failed`, e);
+      }
+    }
+
+    service.status = {
+      ok: errors.length === 0,
+      version: config.version,
+      checkedAt: Date.now(),
+      errors,
+      warnings,
+      migrated: migration.notes,
+      // миграция ещё не записана в файл
+      migrationPending: migration.notes.length > 0,
+      usingLastGood: false,
+    };
+    return config;
+  }
+
+  /**
+   * Перечитывает файл; 'change' — только при реальном изменении конфига.
+   */
+  service.reload = () => {
+    const next = load();
+    if (next === undefined) return false;
+
+    service.emit('status', service.status);
+    if (!next) return false;
+
+    const json = JSON.stringify(next);
+    if (json === lastJson) return false;
+
+    lastJson = json;
+    service.config = next;
+    service.emit('change', next);
+    return true;
+  };
+
+  function scheduleReload() {
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      service.reload();
+    }, WATCH_DEBOUNCE_MS);
+  }
+
+  function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(scheduleReload, WATCH_POLL_MS);
+  }
+
+  /**
+   * Следит за каталогом, а не за файлом: редакторы часто сохраняют
+   * через переименование, и watcher самого файла после этого глохнет.
+   */
+  service.watch = () => {
+    if (watcher || pollTimer) return service;
+
+    try {
+      const name = path.basename(file);
+      watcher = fs.watch(path.dirname(file), (event, filename) => {
+        if (!filename || filename === name) scheduleReload();
+      });
+      watcher.on('error', (e) => {
+        logError(`${tag} config watch failed, falling back to polling`, e);
+        watcher.close();
+        watcher = null;
+        startPolling();
+      });
+    } catch (e) {
+      logError(`${tag} config watch unavailable, falling back to polling`, e);
+      startPolling();
+    }
+
+    return service;
+  };
+
+  service.close = () => {
+    if (watcher) watcher.close();
+    if (pollTimer) clearInterval(pollTimer);
+    if (debounceTimer) clearTimeout(debounceTimer);
+    watcher = null;
+    pollTimer = null;
+    debounceTimer = null;
+  };
+
+  if (!readOnly && !fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeJson(file, defaultConfig);
+  }
+
+  service.config = load() || readLastGood() || JSON.parse(JSON.stringify(defaultConfig));
+  lastJson = JSON.stringify(service.config);
+
+  return service;
+}
+
+module.exports = {
+  CONFIG_FORMAT_VERSION,
+  defaultConfig,
+  configSchema,
+  migrateConfig,
+  validateConfig,
+  parseConfigText,
+  createConfigService,
+  writeFileAtomicSync,
+  editDistance,
+};
@@ -0,0 +1,430 @@
+'use strict';
+
+/*
+ * Импорт своих станций (myStations) из CSV, KML/KMZ и выгрузок FMLIST / fmscan.
+ *
+ *   node plugins/StationsWithoutRDS/pluginStationsWithoutRDS_import.js <file> [options]
+ *
+ *   --antenna N      номер антенны для всех импортируемых станций
+ *   --itu RUS        код страны, если в файле его нет
+ *   --format F       csv | kml | kmz (по умолчанию — по расширению)
+ *   --config PATH    путь к StationsWithoutRDS.json
+ *   --dry-run        только показать, что будет добавлено
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const {
+  CONFIG_FORMAT_VERSION,
+  migrateConfig,
+  parseConfigText,
+  writeFileAtomicSync,
+} = require('./pluginStationsWithoutRDS_config');
+
+const defaultCfgFile = path.join(__dirname, '..', '..', 'plugins_configs', 'StationsWithoutRDS.json');
+
+/* ================= HELPERS ================= */
+
+function parseNumber(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim().replace(',', '.');
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// 52.53 | 52,53 | 52°31'48"N | 52 31 48 N | N52 31.8
+function parseCoord(v) {
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+
+  const plain = parseNumber(s);
+  if (plain !== null) return plain;
+
+  const hemi = (s.match(/[NSEW]/i) || [''])[0].toUpperCase();
+  const parts = s.match(/\d+(?:[.,]\d+)?/g);
+  if (!parts) return null;
+
+  const [d = 0, m = 0, sec = 0] = parts.map(parseNumber);
+  const value = d + m / 60 + sec / 3600;
+  return hemi === 'S' || hemi === 'W' ? -value : value;
+}
+
+function parseFreq(v) {
+  const n = parseNumber(String(v ?? '').replace(/mhz/i, ''));
+  if (n === null) return null;
+  // некоторые выгрузки пишут частоту в кГц
+  const mhz = n > 1000 ? n / 1000 : n;
+  return mhz >= 60 && mhz <= 110 ? Number(mhz.toFixed(3)) : null;
+}
+
+const normKey = (s) => String(s ?? '').toLowerCase().replace(/[^a-zа-я0-9]/gi, '');
+
+/* ================= FIELD MAPPING ================= */
+
+// нормализованное имя колонки -> поле станции
+const FIELD_ALIASES = {
+  freq: ['freq', 'frequency', 'mhz', 'freqmhz', 'frequencymhz', 'qrg', 'частота'],
+  station: ['station', 'stationname', 'program', 'programme', 'programname', 'name', 'название', 'станция'],
+  location: ['location', 'city', 'site', 'txsite', 'transmitter', 'place', 'qth', 'город'],
+  itu: ['itu', 'ituCode', 'country', 'countrycode', 'страна'],
+  lat: ['lat', 'latitude', 'широта'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'долгота'],
+  pi: ['pi', 'picode', 'rdspi'],
+  pol: ['pol', 'polarization', 'polarisation', 'поляризация'],
+  erp: ['erp', 'erpkw', 'kw', 'power', 'мощность'],
+  height: ['height', 'haat', 'agl', 'heightm'],
+  antenna: ['antenna', 'ant'],
+  distance: ['distance', 'dist', 'km', 'distancekm'],
+  azimuth: ['azimuth', 'azi', 'bearing', 'азимут'],
+};
+
+const aliasToField = {};
+for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+  for (const a of aliases) aliasToField[normKey(a)] = field;
+}
+
+/**
+ * Приводит сырую запись (колонка -> значение) к формату myStations.
+ * null — если нет частоты или названия.
+ */
+function toStation(raw, opts) {
+  const rec = {};
+  for (const [col, value] of Object.entries(raw)) {
+    const field = aliasToField[normKey(col)];
+    if (field && rec[field] === undefined && String(value ?? '').trim() !== '') {
+      rec[field] = String(value).trim();
+    }
+  }
+
+  const freq = parseFreq(rec.freq);
+  const station = rec.station;
+  if (freq === null || !station) return null;
+
+  const st = { freq, station };
+  if (rec.location) st.location = rec.location;
+
+  const itu = rec.itu || opts.itu;
+  if (itu) st.itu = String(itu).toUpperCase();
+
+  const lat = parseCoord(rec.lat);
+  const lon = parseCoord(rec.lon);
+  if (lat !== null && lon !== null) {
+    st.lat = Number(lat.toFixed(5));
+    st.lon = Number(lon.toFixed(5));
+  } else {
+    const distance = parseNumber(rec.distance);
+    const azimuth = parseNumber(rec.azimuth);
+    if (distance !== null) st.distance = distance;
+    if (azimuth !== null) st.azimuth = azimuth;
+  }
+
+  if (rec.pi && /^[0-9a-f]{4}$/i.test(rec.pi)) st.pi = rec.pi.toUpperCase();
+  if (rec.pol) st.pol = String(rec.pol).toUpperCase().slice(0, 1);
+
+  const erp = parseNumber(rec.erp);
+  if (erp !== null) st.erp = erp;
+  const height = parseNumber(rec.height);
+  if (height !== null) st.height = height;
+
+  const antenna = opts.antenna ?? parseNumber(rec.antenna);
+  if (antenna !== null && antenna !== undefined) st.antenna = antenna;
+
+  return st;
+}
+
+/* ================= CSV ================= */
+
+function detectDelimiter(headerLine) {
+  const counts = [';', ',', '\t', '|'].map((d) => [d, headerLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+function parseCsvLine(line, sep) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      out.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+// CSV / выгрузки FMLIST и fmscan (разделитель определяется по заголовку)
+function parseCsv(text) {
+  const lines = text.replace(/^﻿/, '').split(/\r?\n/).filter((l) => l.trim());
+
+  // пропускаем строки-комментарии перед заголовком
+  const headerIdx = lines.findIndex((l) => {
+    const sep = detectDelimiter(l);
+    return parseCsvLine(l, sep).some((c) => aliasToField[normKey(c)] === 'freq');
+  });
+  if (headerIdx < 0) throw new Error('CSV header with a frequency column not found');
+
+  const sep = detectDelimiter(lines[headerIdx]);
+  const header = parseCsvLine(lines[headerIdx], sep).map((h) => h.trim());
+
+  return lines.slice(headerIdx + 1).map((line) => {
+    const cells = parseCsvLine(line, sep);
+    const raw = {};
+    header.forEach((h, i) => (raw[h] = cells[i]));
+    return raw;
+  });
+}
+
+/* ================= KML / KMZ ================= */
+
+function xmlText(s) {
+  return String(s ?? '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const tagValue = (xml, tag) => {
+  const m = xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return m ? xmlText(m[1]) : '';
+};
+
+// частота в названии метки: "99.4 Radio X" / "Radio X (99,4 MHz)"
+const FREQ_IN_TEXT = /(\d{2,3}[.,]\d{1,3})\s*(?:MHz)?/i;
+
+function parseKml(text) {
+  const rows = [];
+  const placemarks = text.match(/<Placemark[\s\S]*?<\/Placemark>/gi) || [];
+
+  for (const pm of placemarks) {
+    const raw = {};
+
+    // ExtendedData: <Data name="x"><value>..</value></Data> и <SimpleData name="x">..</SimpleData>
+    for (const m of pm.matchAll(/<Data\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/Data>/gi)) {
+      raw[m[1]] = tagValue(m[2], 'value');
+    }
+    for (const m of pm.matchAll(/<SimpleData\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/SimpleData>/gi)) {
+      raw[m[1]] = xmlText(m[2]);
+    }
+
+    const name = tagValue(pm, 'name');
+    const coords = tagValue(pm, 'coordinates').split(/\s+/)[0];
+    if (coords) {
+      const [lon, lat] = coords.split(',');
+      if (raw.lat === undefined) raw.lat = lat;
+      if (raw.lon === undefined) raw.lon = lon;
+    }
+
+    const hasFreq = Object.keys(raw).some((k) => aliasToField[normKey(k)] === 'freq');
+    const freqMatch = name.match(FREQ_IN_TEXT) || tagValue(pm, 'description').match(FREQ_IN_TEXT);
+    if (!hasFreq && freqMatch) raw.freq = freqMatch[1];
+
+    const hasStation = Object.keys(raw).some((k) => aliasToField[normKey(k)] === 'station');
+    if (!hasStation && name) {
+      raw.station = name.replace(FREQ_IN_TEXT, '').replace(/[()[\]\-–·|]+/g, ' ').trim() || name;
+    }
+
+    rows.push(raw);
+  }
+
+  return rows;
+}
+
+// минимальный разбор ZIP: берём первый .kml из центрального каталога
+function unzipFirstKml(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('KMZ: not a zip archive');
+
+  const entries = buf.readUInt16LE(eocd + 10);
+  let ptr = buf.readUInt32LE(eocd + 16);
+
+  for (let n = 0; n < entries; n++) {
+    if (buf.readUInt32LE(ptr) !== 0x02014b50) break;
+
+    const method = buf.readUInt16LE(ptr + 10);
+    const compSize = buf.readUInt32LE(ptr + 20);
+    const nameLen = buf.readUInt16LE(ptr + 28);
+    const extraLen = buf.readUInt16LE(ptr + 30);
+    const commentLen = buf.readUInt16LE(ptr + 32);
+    const localOffset = buf.readUInt32LE(ptr + 42);
+    const name = buf.toString('utf8', ptr + 46, ptr + 46 + nameLen);
+
+    if (/\.kml$/i.test(name)) {
+      const localNameLen = buf.readUInt16LE(localOffset + 26);
+      const localExtraLen = buf.readUInt16LE(localOffset + 28);
+      const start = localOffset + 30 + localNameLen + localExtraLen;
+      const data = buf.subarray(start, start + compSize);
+
+      if (method === 0) return data.toString('utf8');
+      if (method === 8) return zlib.inflateRawSync(data).toString('utf8');
+      throw new Error(`KMZ: unsupported compression method ${method}`);
+    }
+
+    ptr += 46 + nameLen + extraLen + commentLen;
+  }
+
+  throw new Error('KMZ: no .kml file inside');
+}
+
+/* ================= IMPORT ================= */
+
+function readRows(file, format) {
+  const fmt = (format || path.extname(file).slice(1)).toLowerCase();
+  const buf = fs.readFileSync(file);
+
+  if (fmt === 'kmz') return parseKml(unzipFirstKml(buf));
+  if (fmt === 'kml') return parseKml(buf.toString('utf8'));
+  return parseCsv(buf.toString('utf8'));
+}
+
+// одна и та же станция: частота + название (+ координаты, если они есть);
+// без координат место не угадываем — иначе пустые lat/lon станут 0,0
+function stationKey(s) {
+  const lat = parseCoord(s.lat);
+  const lon = parseCoord(s.lon);
+  const place = lat !== null && lon !== null ? `${lat.toFixed(2)},${lon.toFixed(2)}` : '';
+  return [Number(s.freq).toFixed(2), normKey(s.station), place, s.antenna ?? ''].join('|');
+}
+
+// список, в который дописываем: тот, что уже есть в файле; при обоих сервер берёт myStations
+function stationsKey(raw) {
+  return 'myStantions' in raw && !('myStations' in raw) ? 'myStantions' : 'myStations';
+}
+
+const asList = (v) => (Array.isArray(v) ? v : []);
+
+/**
+ * Дописывает станции из файла в конфиг. Возвращает { added, skipped, invalid, cfgFile, notes, backup }.
+ * Остальное в файле не трогается: формат переводится только с /setup, а для
+ * файла старого формата рядом остаётся копия (.v1.bak), как при переводе.
+ */
+function importStations(file, opts = {}) {
+  const cfgFile = opts.config || defaultCfgFile;
+  const text = fs.existsSync(cfgFile) ? fs.readFileSync(cfgFile, 'utf8') : null;
+  const raw = text === null ? { version: CONFIG_FORMAT_VERSION } : parseConfigText(text);
+  const key = stationsKey(raw);
+  // переведённый вид — только чтобы видеть станции так же, как сервер
+  const { config: migrated, notes } = migrateConfig(raw);
+
+  const known = new Set(asList(migrated.myStations).map(stationKey));
+  const added = [];
+  let skipped = 0;
+  let invalid = 0;
+
+  for (const row of readRows(file, opts.format)) {
+    const st = toStation(row, opts);
+    if (!st) {
+      invalid++;
+      continue;
+    }
+
+    const sk = stationKey(st);
+    if (known.has(sk)) {
+      skipped++;
+      continue;
+    }
+    known.add(sk);
+    added.push(st);
+  }
+
+  let backup = null;
+  if (!opts.dryRun && added.length) {
+    if (notes.length) {
+      backup = `${cfgFile}.v${Number(raw.version) || 1}.bak`;
+      if (!fs.existsSync(backup)) fs.writeFileSync(backup, text, 'utf8');
+    }
+    const cfg = { ...raw, [key]: [...asList(raw[key]), ...added] };
+    // конфиг читает работающий сервер — он не должен увидеть файл наполовину
+    writeFileAtomicSync(cfgFile, JSON.stringify(cfg, null, 2));
+  }
+
+  return { added, skipped, invalid, cfgFile, notes, backup };
+}
+
+/* ================= CLI ================= */
+
+function parseArgs(argv) {
+  const opts = {};
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--antenna') opts.antenna = Number(argv[++i]);
+    else if (a === '--itu') opts.itu = argv[++i];
+    else if (a === '--format') opts.format = argv[++i];
+    else if (a === '--config') opts.config = argv[++i];
+    else if (a === '--dry-run') opts.dryRun = true;
+    else files.push(a);
+  }
+
+  return { opts, files };
+}
+
+if (require.main === module) {
+  const { opts, files } = parseArgs(process.argv.slice(2));
+
+  if (!files.length) {
+    console.log('Usage: node pluginStationsWithoutRDS_import.js <file.csv|kml|kmz> [--antenna N] [--itu RUS] [--format csv|kml|kmz] [--config path] [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    for (const file of files) {
+      const { added, skipped, invalid, cfgFile, notes, backup } = importStations(file, opts);
+      for (const st of added) {
+        console.log(`  + ${st.freq} ${st.station}${st.location ? ` [${st.location}]` : ''}`);
+      }
+      console.log(
+        `[StationsWithoutRDS] ${path.basename(file)}: added ${added.length}, duplicates ${skipped}, invalid ${invalid}` +
+        (opts.dryRun ? ' (dry run)' : ` -> ${cfgFile}`)
+      );
+      if (notes.length) {
+        console.log(`[StationsWithoutRDS] config uses an old format (${notes.join('; ')}); save it from /setup`);
+      }
+      if (backup) console.log(`[StationsWithoutRDS] original config kept in ${backup}`);
+    }
+  } catch (e) {
+    console.error('[StationsWithoutRDS] import failed:', e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  importStations,
+  parseCsv,
+  parseKml,
+  unzipFirstKml,
+  toStation,
+  stationKey,
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+/*
+ * Воспроизведение записи кадров /text через тот же конвейер, что и на сервере.
+ * Базы станций берутся из кэша на диске, сеть не используется.
+ * Результат — сообщения find в формате JSONL.
+ *
+ *   node plugins/StationsWithoutRDS/pluginStationsWithoutRDS_replay.js <recording.jsonl> [options]
+ *
+ *   --out PATH         куда писать find (по умолчанию <recording>.finds.jsonl, "-" — stdout)
+ *   --speed N          темп: 1 — реальное время, 0 — максимально быстро (по умолчанию)
+ *   --current-config   использовать текущий StationsWithoutRDS.json и QTH вместо записанных
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// после последнего кадра даём конвейеру дослать отложенное
+const TAIL_MS = 5000;
+
+/* ================= VIRTUAL CLOCK ================= */
+
+/**
+ * Виртуальное время: таймеры срабатывают, когда запись «доходит» до их момента.
+ */
+function createVirtualClock(start) {
+  let now = start;
+  let seq = 0;
+  const timers = new Map(); // id -> { at, every, fn }
+
+  return {
+    now: () => now,
+    setInterval(fn, ms) {
+      const id = ++seq;
+      const every = Math.max(Number(ms) || 0, 1);
+      timers.set(id, { at: now + every, every, fn });
+      return id;
+    },
+    clearInterval: (id) => timers.delete(id),
+    clearTimeout: (id) => timers.delete(id),
+
+    // продвигает время до t, по пути выполняя все наступившие таймеры
+    async advanceTo(t, settle) {
+      for (;;) {
+        let nextId = null;
+        let next = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= t && (!next || timer.at < next.at)) {
+            nextId = id;
+            next = timer;
+          }
+        }
+        if (!next) break;
+
+        now = Math.max(now, next.at);
+        if (next.every) next.at += next.every;
+        else timers.delete(nextId);
+
+        next.fn();
+        await settle();
+      }
+      now = Math.max(now, t);
+    },
+  };
+}
+
+// поиск асинхронный (логотипы и т.п.) — даём промисам завершиться
+async function settle() {
+  for (let i = 0; i < 10; i++) await new Promise((r) => setImmediate(r));
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* ================= REPLAY ================= */
+
+async function replayRecording(file, opts = {}) {
+  process.env.STATIONS_WITHOUT_RDS_REPLAY = '1';
+  const { replay } = require('./pluginStationsWithoutRDS_server');
+
+  const out = !opts.out || opts.out === '-'
+    ? process.stdout
+    : fs.createWriteStream(opts.out, { flags: 'w' });
+
+  let vclock = null;
+  let frames = 0;
+  let finds = 0;
+  let lastT = 0;
+
+  replay.setOutput((msg) => {
+    if (msg?.value?.action !== 'find') return;
+    finds++;
+    out.write(`${JSON.stringify(msg.value)}\n`);
+  });
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, 'utf8'),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const t = Number(rec.t);
+    if (!Number.isFinite(t)) continue;
+
+    if (!vclock) {
+      vclock = createVirtualClock(t);
+      Object.assign(replay.clock, vclock);
+    }
+
+    if (opts.speed > 0 && lastT && t > lastT) await sleep((t - lastT) / opts.speed);
+    await vclock.advanceTo(t, settle);
+    lastT = t;
+
+    if (rec.type === 'header' || rec.type === 'config') {
+      if (opts.currentConfig) continue;
+      const errors = replay.useConfig(rec.config || {});
+      for (const msg of errors) console.error(`[StationsWithoutRDS] recorded config: ${msg}`);
+      if (rec.qth) replay.setQth(rec.qth.lat, rec.qth.lon);
+      continue;
+    }
+    if (rec.type === 'qth') {
+      if (!opts.currentConfig) replay.setQth(rec.lat, rec.lon);
+      continue;
+    }
+    if (!rec.frame) continue;
+
+    frames++;
+    replay.onTextMessage(rec.frame);
+    await settle();
+  }
+
+  if (vclock) await vclock.advanceTo(lastT + TAIL_MS, settle);
+  replay.stop();
+
+  if (out !== process.stdout) await new Promise((r) => out.end(r));
+  return { frames, finds };
+}
+
+/* ================= CLI ================= */
+
+function parseArgs(argv) {
+  const opts = { speed: 0 };
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--out') opts.out = argv[++i];
+    else if (a === '--speed') opts.speed = Number(argv[++i]) || 0;
+    else if (a === '--current-config') opts.currentConfig = true;
+    else files.push(a);
+  }
+
+  return { opts, files };
+}
+
+if (require.main === module) {
+  const { opts, files } = parseArgs(process.argv.slice(2));
+
+  if (files.length !== 1) {
+    console.log('Usage: node pluginStationsWithoutRDS_replay.js <recording.jsonl> [--out finds.jsonl|-] [--speed N] [--current-config]');
+    process.exit(1);
+  }
+
+  const [file] = files;
+  if (opts.out === undefined) {
+    opts.out = path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.finds.jsonl`);
+  }
+
+  replayRecording(file, opts)
+    .then(({ frames, finds }) => {
+      console.error(
+        `[StationsWithoutRDS] replayed ${frames} frames, ${finds} find messages` +
+        (opts.out === '-' ? '' : ` -> ${opts.out}`)
+      );
+      process.exit(0);
+    })
+    .catch((e) => {
+      console.error('[StationsWithoutRDS] replay failed:', e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  replayRecording,
+  createVirtualClock,
+};
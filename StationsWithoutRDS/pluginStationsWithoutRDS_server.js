@@ -1,18 +1,57 @@
 'use strict';
 
-const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
-const fetch = (...a) => import('node-fetch').then(({ default: f }) => f(...a));
+const net = require('net');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// воспроизведение записи /text (pluginStationsWithoutRDS_replay.js) и сборка
+// офлайн-набора (pluginStationsWithoutRDS_bundle.js): без сети, без WS и без записи на диск
+const REPLAY = process.env.STATIONS_WITHOUT_RDS_REPLAY === '1';
+
+const fetch = (...a) => REPLAY
+  ? Promise.reject(new Error('network is disabled in replay'))
+  : import('node-fetch').then(({ default: f }) => f(...a));
+
+// в офлайн-режимах веб-сервера рядом может не быть: ws и его консоль не нужны,
+// а config.json (QTH по умолчанию) читается, только если он есть
+const WebSocket = REPLAY ? null : require('ws');
+const config = REPLAY ? readServerConfigIfAny() : require('../../config.json');
+const { logInfo, logError } = REPLAY
+  ? { logInfo: (...a) => console.error(...a), logError: (...a) => console.error(...a) }
+  : require('../../server/console');
+const {
+  createConfigService,
+  validateConfig,
+  writeFileAtomicSync,
+  editDistance,
+} = require('./pluginStationsWithoutRDS_config');
+
+function readServerConfigIfAny() {
+  const root = process.env.STATIONS_WITHOUT_RDS_ROOT || path.join(__dirname, '..', '..');
+  try {
+    return JSON.parse(fs.readFileSync(path.join(root, 'config.json'), 'utf8'));
+  } catch {
+    return {};
+  }
+}
 
-const config = require('../../config.json');
-const { logInfo, logError } = require('../../server/console');
+/* ================= CLOCK ================= */
+
+// время конвейера /text; при воспроизведении подменяется виртуальным
+const clock = {
+  now: () => Date.now(),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (t) => clearInterval(t),
+  clearTimeout: (t) => clearTimeout(t),
+};
 
 function throttleLeading(fn, intervalMs) {
   let lastCallTs = 0;
 
   function throttled(...args) {
-    const now = Date.now();
+    const now = clock.now();
     if (now - lastCallTs >= intervalMs) {
       lastCallTs = now;
       fn.apply(this, args);
@@ -28,7 +67,9 @@ function throttleLeading(fn, intervalMs) {
 
 /* ================= PATHS / CONFIG FILE ================= */
 
-const rootDir = path.dirname(require.main.filename);
+const rootDir = REPLAY
+  ? process.env.STATIONS_WITHOUT_RDS_ROOT || path.join(__dirname, '..', '..')
+  : path.dirname(require.main.filename);
 const cfgDir = path.join(rootDir, 'plugins_configs');
 const cfgFile = path.join(cfgDir, 'StationsWithoutRDS.json');
 
@@ -38,42 +79,21 @@ function ensureDirSync(dir) {
 function writeJsonSync(file, obj) {
   fs.writeFileSync(file, JSON.stringify(obj, null, 2), 'utf8');
 }
-const clone = (v) => JSON.parse(JSON.stringify(v));
-function readJsonSafe(file, fallback) {
-  try {
-    const raw = fs.readFileSync(file, 'utf8');
-    const obj = JSON.parse(raw);
-    if (!obj || typeof obj !== 'object') return clone(fallback);
-
-    const out = clone(obj);
-
-    if (!Array.isArray(out.myStantions)) out.myStantions = [];
-    if (!Number.isFinite(out.mode)) out.mode = 1;
-    if (!Number.isFinite(out.thresholdSignal)) out.thresholdSignal = fallback.thresholdSignal;
-    if (!Number.isFinite(out.stableTime)) out.stableTime = fallback.stableTime;
-    if (!Number.isFinite(out.maxDistanceKm)) out.maxDistanceKm = fallback.maxDistanceKm;
-    if (!Number.isFinite(out.refreshStationsMs)) out.refreshStationsMs = fallback.refreshStationsMs;
-
-    return out;
-  } catch {
-    return clone(fallback);
-  }
-}
-
+ensureDirSync(cfgDir);
 
-const defaultConfig = {
-  mode: 1,
-  myStantions: [],
-  thresholdSignal: 10, // dBµV
-  stableTime: 3, // seconds
-  maxDistanceKm: 500, // km
-  refreshStationsMs: 24, // hours
-};
+const configService = createConfigService({
+  file: cfgFile,
+  // последняя читаемая копия конфига — на случай битого JSON при старте
+  lastGoodFile: path.join(cfgDir, 'StationsWithoutRDS_lastgood.json'),
+  logInfo,
+  logError,
+  readOnly: REPLAY,
+});
 
-ensureDirSync(cfgDir);
-if (!fs.existsSync(cfgFile)) writeJsonSync(cfgFile, defaultConfig);
+let pluginConfig = configService.config;
 
-let pluginConfig = readJsonSafe(cfgFile, defaultConfig);
+// версия конфига — растёт при каждом изменении содержимого
+let configVersion = 0;
 
 let lastFrequency = null;
 let signalFixed = false
@@ -83,10 +103,49 @@ let signalWindowStart = 0;
 
 /* ================= QTH ================= */
 
-const qthLat = Number(config?.identification?.lat);
-const qthLon =  Number(config?.identification?.lon);
+// QTH сервера из config.json — используется, если плагину не задан свой
+const serverQth = {
+  lat: Number(config?.identification?.lat),
+  lon: Number(config?.identification?.lon),
+};
+
+const QTH_SOURCES = ['config', 'plugin', 'gpsd'];
+const GPSD_DEFAULT_PORT = 2947;
+
+function isValidQth(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) &&
+    !!lat && !!lon && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+}
+
+/**
+ * Настройки QTH из конфига плагина.
+ * qth.lat/lon без source — то же, что source: 'plugin'.
+ * fallback — координаты, пока от gpsd нет фикса.
+ */
+function qthSettings() {
+  const q = pluginConfig.qth && typeof pluginConfig.qth === 'object' ? pluginConfig.qth : {};
+  const lat = Number(q.lat);
+  const lon = Number(q.lon);
+  const hasOwn = isValidQth(lat, lon);
 
+  let source = QTH_SOURCES.includes(q.source) ? q.source : (hasOwn ? 'plugin' : 'config');
+  if (source === 'plugin' && !hasOwn) source = 'config';
 
+  const minMoveKm = Number(q.minMoveKm);
+
+  return {
+    source,
+    fallback: hasOwn ? { lat, lon } : serverQth,
+    host: String(q.host || '127.0.0.1'),
+    port: Number(q.port) || GPSD_DEFAULT_PORT,
+    minMoveKm: Number.isFinite(minMoveKm) && minMoveKm >= 0 ? minMoveKm : 1,
+  };
+}
+
+const initialQth = qthSettings();
+let qthSource = initialQth.source;
+let qthLat = initialQth.fallback.lat;
+let qthLon = initialQth.fallback.lon;
 
 if (!qthLat || !qthLon) {
   logError('[StationsWithoutRDS] QTH coordinates are missing in config.json (identification.lat/lon)');
@@ -115,105 +174,567 @@ function bearing(lat1, lon1, lat2, lon2) {
   return (toDeg(Math.atan2(y, x)) + 360) % 360;
 }
 
+function normalizePi(pi) {
+  const s = String(pi ?? '').toUpperCase().replace(/[^0-9A-F]/g, '');
+  return s ? s : null;
+}
+
+/**
+ * Частично декодированный PI ("D3?1") -> маска из 4 символов или null.
+ * Нужно хотя бы MIN_PARTIAL_PI_DIGITS известных цифр.
+ */
+const MIN_PARTIAL_PI_DIGITS = 2;
+
+function normalizePiMask(pi) {
+  const s = String(pi ?? '').toUpperCase().replace(/\s+/g, '');
+  if (!/^[0-9A-F?]{4}$/.test(s) || !s.includes('?')) return null;
+  return piKnownDigits(s) >= MIN_PARTIAL_PI_DIGITS ? s : null;
+}
+
+function piKnownDigits(pi) {
+  return String(pi ?? '').replace(/[^0-9A-F]/gi, '').length;
+}
+
+// { full: 'D311' } | { mask: 'D3?1' } | {}
+function parsePi(pi) {
+  const mask = normalizePiMask(pi);
+  if (mask) return { full: null, mask };
+  if (String(pi ?? '').includes('?')) return { full: null, mask: null };
+  return { full: normalizePi(pi), mask: null };
+}
+
+function piMatchesMask(mask, pi) {
+  const p = normalizePi(pi);
+  if (!p || p.length !== mask.length) return false;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] !== '?' && mask[i] !== p[i]) return false;
+  }
+  return true;
+}
+
+// совместимы ли два (частичных) PI — не противоречат ни в одной позиции
+function piCompatible(a, b) {
+  const x = String(a ?? '').toUpperCase();
+  const y = String(b ?? '').toUpperCase();
+  if (x.length !== 4 || y.length !== 4) return false;
+  for (let i = 0; i < 4; i++) {
+    if (x[i] !== '?' && y[i] !== '?' && x[i] !== y[i]) return false;
+  }
+  return true;
+}
+
+// только буквы и цифры любого алфавита: "Радио Маяк" -> "МАЯК"
+function normalizeName(str = '') {
+  return String(str)
+    .toUpperCase()
+    .replace(/RADIO|РАДИО/g, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/* ================= BAND PLANS ================= */
+
+// Встроенные сетки частот. Допуск — насколько станция может отстоять
+// от настроенного канала, чтобы считаться кандидатом: [-допуск, +допуск),
+// поэтому станция ровно посередине между каналами достаётся только верхнему.
+// Диапазоны — [min, max): 74.0 уже CCIR, а не OIRT.
+const BAND_PLANS = {
+  default: [
+    { name: 'OIRT', min: 65.9, max: 74.0, stepKHz: 30, toleranceKHz: 15 },
+    { name: 'CCIR', min: 74.0, max: 108.0, stepKHz: 100, toleranceKHz: 50 },
+  ],
+  // Италия и др.: станции со сдвигом 50 кГц
+  '50khz': [
+    { name: 'OIRT', min: 65.9, max: 74.0, stepKHz: 30, toleranceKHz: 15 },
+    { name: 'CCIR', min: 74.0, max: 108.0, stepKHz: 50, toleranceKHz: 25 },
+  ],
+  japan: [
+    { name: 'Japan', min: 76.0, max: 95.0, stepKHz: 100, toleranceKHz: 50 },
+    { name: 'CCIR', min: 95.0, max: 108.0, stepKHz: 100, toleranceKHz: 50 },
+  ],
+  // тюнеры с шагом 10 кГц
+  '10khz': [
+    { name: 'OIRT', min: 65.9, max: 74.0, stepKHz: 10, toleranceKHz: 20 },
+    { name: 'CCIR', min: 74.0, max: 108.0, stepKHz: 10, toleranceKHz: 50 },
+  ],
+};
+
+function sanitizeBand(b) {
+  const min = Number(b?.min);
+  const max = Number(b?.max);
+  const stepKHz = Number(b?.stepKHz);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) return null;
+  if (!Number.isFinite(stepKHz) || stepKHz <= 0) return null;
+
+  const tol = Number(b.toleranceKHz);
+  return {
+    name: String(b.name || ''),
+    min,
+    max,
+    stepKHz,
+    toleranceKHz: Number.isFinite(tol) && tol >= 0 ? tol : stepKHz / 2,
+  };
+}
+
+const unknownBandPlans = new Set();
+
+// bandPlan — имя встроенной сетки или своей из bandPlans
+function activeBands() {
+  const name = String(pluginConfig?.bandPlan || 'default');
+  const custom = pluginConfig?.bandPlans?.[name];
+  if (!Array.isArray(custom) && !BAND_PLANS[name] && !unknownBandPlans.has(name)) {
+    unknownBandPlans.add(name);
+    logError(`[StationsWithoutRDS] config: bandPlan: unknown plan "${name}", using "default"`);
+  }
+  const raw = Array.isArray(custom) ? custom : BAND_PLANS[name] || BAND_PLANS.default;
+  const bands = raw.map(sanitizeBand).filter(Boolean);
+  return bands.length ? bands : BAND_PLANS.default;
+}
+
+// верхняя граница не входит в диапазон, кроме самой верхней частоты сетки (108.0)
+function bandFor(n) {
+  const bands = activeBands();
+  return bands.find((b) => n >= b.min - 1e-9 && n < b.max - 1e-9)
+    || bands.find((b) => Math.abs(n - b.max) < 1e-9)
+    || null;
+}
+
+// Настроенная частота -> канал сетки (МГц) или null вне диапазонов
 function normalizeFreq(f) {
   const n = Number(f);
   if (!Number.isFinite(n)) return null;
-  let min, max, stepKHz;
-  if (n >= 65.9 && n <= 74.0) {
-    min = 65.9; max = 74.0; stepKHz = 30;
-  } else if (n > 74.0 && n <= 108.0) {
-    min = 74.0; max = 108.0; stepKHz = 100;
-  } else if (n === 74.0) {
-    min = 74.0; max = 108.0; stepKHz = 100;
-  } else {
-    return null;
-  }
-  const khz = n * 1000;
-  const roundedKHz = Math.round(khz / stepKHz) * stepKHz;
+  const band = bandFor(n);
+  if (!band) return null;
+
+  // сетка отсчитывается от начала диапазона (OIRT: 65.90, 65.93, ...)
+  const minKHz = Math.round(band.min * 1000);
+  const roundedKHz = minKHz + Math.round((n * 1000 - minKHz) / band.stepKHz) * band.stepKHz;
   const out = roundedKHz / 1000;
-  if (out < min - 1e-9 || out > max + 1e-9) return null;
+  if (out < band.min - 1e-9 || out > band.max + 1e-9) return null;
   return Number(out.toFixed(3));
 }
 
+// Частота станции в базе -> ключ индекса с точностью 10 кГц
+function freqKey(f) {
+  const n = Number(f);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return Math.round(n * 100) / 100;
+}
 
-function normalizePi(pi) {
-  const s = String(pi ?? '').toUpperCase().replace(/[^0-9A-F]/g, '');
-  return s ? s : null;
+// точное совпадение с каналом подходит всегда, даже при нулевом допуске
+function withinTolerance(offsetKHz, tol) {
+  return offsetKHz === 0 || (offsetKHz >= -tol && offsetKHz < tol);
 }
 
-function normalizeName(str = '') {
-  return String(str)
-    .toUpperCase()
-    .replace(/RADIO/g, '')
-    .replace(/\s+/g, '')
-    .replace(/[^\w]/g, '');
+/**
+ * Ключи индекса в пределах допуска вокруг канала f:
+ * [{ key, offsetKHz }], ближайшие первыми.
+ */
+function freqKeysAround(f) {
+  const band = bandFor(f);
+  const tol = band ? band.toleranceKHz : 0;
+  const fKHz = Math.round(f * 1000);
+
+  const out = [];
+  for (let x = Math.ceil((fKHz - tol) / 10) * 10; x <= fKHz + tol; x += 10) {
+    if (withinTolerance(x - fKHz, tol)) out.push({ key: freqKey(x / 1000), offsetKHz: x - fKHz });
+  }
+  out.sort((a, b) => Math.abs(a.offsetKHz) - Math.abs(b.offsetKHz));
+  return out;
+}
+
+// Смещение станции от канала f в кГц или null, если вне допуска
+function freqOffsetKHz(stFreq, f) {
+  const key = freqKey(stFreq);
+  if (key === null) return null;
+  const band = bandFor(f);
+  const offset = Math.round(key * 1000) - Math.round(f * 1000);
+  return withinTolerance(offset, band ? band.toleranceKHz : 0) ? offset : null;
 }
 
-/* ================= MAPS.FMDX CACHE ================= */
+/* ================= DATASET INDEX ================= */
 
-let locationsCache = [];
-let locationsCacheFMLIST = []
-let logosCacheFMLIST = []
-let lastStationsLoadTs = 0;
+const emptyIndex = () => ({ byFreq: new Map(), byPi: new Map(), size: 0 });
 
-async function loadStationsFromMaps() {
-  if (!qthLat || !qthLon) return;
+function pushToBucket(map, key, entry) {
+  const bucket = map.get(key);
+  if (bucket) bucket.push(entry);
+  else map.set(key, [entry]);
+}
 
-  {
-    try {
-      const url = `https://proxy.fm-tuner.ru/https://maps.fmdx.org/api/?qth=${qthLat},${qthLon}&date=${new Date().toLocaleDateString('en-CA')}`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`maps.fmdx HTTP ${res.status}`);
-      const json = await res.json();
-      locationsCache = Object.values(json.locations || {});
-      lastStationsLoadTs = Date.now();
-      logInfo('[StationsWithoutRDS] maps.fmdx loaded:', locationsCache.length);
-    } catch (e) {
-      logError('[StationsWithoutRDS] maps.fmdx load failed', e);
+/**
+ * Индекс набора locations: частота -> записи, PI -> записи.
+ * Расстояние и азимут от QTH считаются один раз на локацию.
+ */
+function buildDatasetIndex(locations) {
+  const index = emptyIndex();
+  if (!qthLat || !qthLon) return index;
+
+  for (const loc of locations) {
+    const lat = Number(loc.lat);
+    const lon = Number(loc.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const distance = haversine(qthLat, qthLon, lat, lon);
+    const azimuth = bearing(qthLat, qthLon, lat, lon);
+
+    for (const st of loc.stations || []) {
+      if (st.inactive) continue;
+
+      const entry = {
+        loc,
+        st,
+        distance,
+        azimuth,
+        freq: freqKey(st.freq),
+        pi: normalizePi(st.pi),
+      };
+
+      if (entry.freq !== null) pushToBucket(index.byFreq, entry.freq, entry);
+      if (entry.pi) pushToBucket(index.byPi, entry.pi, entry);
+      index.size++;
     }
   }
-  {
-    try {
-      const url = `https://fmlist.ru/dataset/index.json`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`fmlist.ru HTTP ${res.status}`);
-      const json = await res.json();
-      locationsCacheFMLIST = Object.values(json.locations || {});
-      lastStationsLoadTs = Date.now();
-      logInfo('[StationsWithoutRDS] fmlist.ru loaded:', locationsCacheFMLIST.length);
-    } catch (e) {
-      logError('[StationsWithoutRDS] fmlist.ru load failed', e);
+
+  return index;
+}
+
+/* ================= RDS COUNTRIES ================= */
+
+// Старший полубайт PI + ECC -> код страны ITU (IEC 62106, Европа / Средиземноморье).
+// Индекс в строке — полубайт PI (0..F).
+const ECC_COUNTRIES = {
+  E0: [null, 'D', 'ALG', 'AND', 'ISR', 'I', 'BEL', 'RUS', 'PSE', 'ALB', 'AUT', 'HNG', 'MLT', 'D', null, 'EGY'],
+  E1: [null, 'GRC', 'CYP', 'SMR', 'SUI', 'JOR', 'FIN', 'LUX', 'BUL', 'DNK', 'GIB', 'IRQ', 'G', 'LBY', 'ROU', 'F'],
+  E2: [null, 'MRC', 'CZE', 'POL', 'CVA', 'SVK', 'SYR', 'TUN', null, 'LIE', 'ISL', 'MCO', 'LTU', 'SRB', 'E', 'NOR'],
+  E3: [null, 'MNE', 'IRL', 'TUR', 'MKD', null, null, null, 'HOL', 'LVA', 'LBN', 'AZE', 'HRV', 'KAZ', 'S', 'BLR'],
+  E4: [null, 'MDA', 'EST', 'KGZ', null, null, 'UKR', 'KOS', 'POR', 'SVN', 'ARM', 'UZB', 'GEO', null, 'TKM', 'BIH'],
+};
+
+function normalizeEcc(ecc) {
+  if (ecc === null || ecc === undefined || ecc === '') return null;
+  const s = typeof ecc === 'number'
+    ? ecc.toString(16)
+    : String(ecc).replace(/^0x/i, '');
+  const hex = s.toUpperCase();
+  return /^[0-9A-F]{2}$/.test(hex) && hex !== '00' ? hex : null;
+}
+
+/**
+ * Страны, которым может принадлежать PI: с ECC — одна, без ECC —
+ * все страны с тем же полубайтом. null — определить нельзя.
+ */
+function countriesForPi(pi, ecc) {
+  const p = normalizePi(pi);
+  if (!p || p.length !== 4) return null;
+
+  const nibble = parseInt(p[0], 16);
+  const e = normalizeEcc(ecc);
+
+  if (e) {
+    const itu = ECC_COUNTRIES[e]?.[nibble];
+    return itu ? new Set([itu]) : null;
+  }
+
+  const set = new Set();
+  for (const row of Object.values(ECC_COUNTRIES)) {
+    if (row[nibble]) set.add(row[nibble]);
+  }
+  return set.size ? set : null;
+}
+
+/* ================= DATA SOURCES ================= */
+
+// версия данных — растёт при каждой замене любой базы
+let datasetVersion = 0;
+
+// повторная попытка после неудачной загрузки
+const DATASET_RETRY_MS = 10 * 60 * 1000;
+// базы «вокруг QTH» (maps.fmdx) дальше этого от него перезапрашиваем
+const MAPS_REFETCH_KM = 50;
+// зависший сервер не должен навсегда оставить источник «загружающимся»
+const SOURCE_FETCH_TIMEOUT_MS = 2 * 60 * 1000;
+const DEFAULT_PROXY = 'https://proxy.fm-tuner.ru/';
+
+/**
+ * Типы источников. kind: stations — { locations } как у maps.fmdx,
+ * logos — { idStation: { logoUrl } } как у fmlist, logoFiles — каталог
+ * файлов по странам (url/ITU/), списки читаются по мере надобности.
+ * В url подставляются {lat}, {lon} (текущий QTH) и {date}.
+ */
+const SOURCE_TYPES = {
+  maps: {
+    label: 'maps.fmdx',
+    kind: 'stations',
+    url: 'https://maps.fmdx.org/api/?qth={lat},{lon}&date={date}',
+    proxy: DEFAULT_PROXY,
+    priority: 1,
+  },
+  fmlist: {
+    label: 'fmlist.ru',
+    kind: 'stations',
+    url: 'https://fmlist.ru/dataset/index.json',
+    priority: 2,
+  },
+  fmlistLogos: {
+    label: 'logos fmlist.ru',
+    kind: 'logos',
+    url: 'https://fmlist.ru/logos/index.json',
+    priority: 1,
+  },
+  noobish: {
+    label: 'logos tef.noobish.eu',
+    kind: 'logoFiles',
+    url: 'https://tef.noobish.eu/logos',
+    proxy: DEFAULT_PROXY,
+    priority: 2,
+    refreshHours: 168,
+  },
+  file: { kind: 'stations', priority: 3, local: true },
+  http: { kind: 'stations', priority: 3 },
+  // офлайн-набор: станции и логотипы одним файлом (pluginConfig.offlineBundle)
+  bundle: { label: 'offline bundle', kind: 'bundle', priority: 0, local: true },
+};
+
+const BUNDLE_FORMAT = 'StationsWithoutRDS-bundle';
+const BUNDLE_VERSION = 1;
+
+// без "sources" в конфиге — прежний набор
+const DEFAULT_SOURCES = [{ type: 'maps' }, { type: 'fmlist' }, { type: 'fmlistLogos' }, { type: 'noobish' }];
+
+let sources = []; // по возрастанию priority
+
+function validateSourceData(kind, json) {
+  if (!json || typeof json !== 'object') return false;
+  if (kind === 'bundle') {
+    return json.format === BUNDLE_FORMAT && Number(json.version) <= BUNDLE_VERSION && typeof json.locations === 'object';
+  }
+  return kind === 'logos' || typeof json.locations === 'object';
+}
+
+function applySourceData(src, json) {
+  if (src.kind === 'logos') {
+    src.logos = json;
+    return Object.keys(json).length;
+  }
+  src.locations = Object.values(json.locations || {});
+  src.index = buildDatasetIndex(src.locations);
+  if (src.kind === 'bundle') {
+    src.logos = json.logos || {};
+    // из каких баз собран — в том же порядке старшинства
+    src.origins = Array.isArray(json.sources) ? json.sources : [];
+    src.qth = json.qth || null;
+    warnIfOutsideBundle(src, json.radiusKm);
+  }
+  return src.locations.length;
+}
+
+function warnIfOutsideBundle(src, radiusKm) {
+  const lat = Number(src.qth?.lat);
+  const lon = Number(src.qth?.lon);
+  if (!isValidQth(lat, lon) || !isValidQth(qthLat, qthLon) || !(radiusKm > 0)) return;
+
+  const d = haversine(lat, lon, qthLat, qthLon);
+  if (d > radiusKm) {
+    logInfo(`[StationsWithoutRDS] QTH is ${Math.round(d)} km from the ${src.label} center, ` +
+      `it only covers ${radiusKm} km`);
+  }
+}
+
+function sourceUrl(src) {
+  const url = src.url
+    .replaceAll('{lat}', qthLat)
+    .replaceAll('{lon}', qthLon)
+    .replaceAll('{date}', new Date().toLocaleDateString('en-CA'));
+  return src.proxy ? `${src.proxy}${url}` : url;
+}
+
+function loadSourceFromDisk(src) {
+  try {
+    if (!fs.existsSync(src.cacheFile)) return;
+    const cached = JSON.parse(fs.readFileSync(src.cacheFile, 'utf8'));
+    if (!cached || !validateSourceData(src.kind, cached.data)) {
+      logError(`[StationsWithoutRDS] ${src.label} disk cache is invalid, ignored`);
+      return;
     }
+    const count = applySourceData(src, cached.data);
+    datasetVersion++;
+    // кэш от другого адреса годится до первой удачной загрузки
+    src.fetchedAt = !cached.url || cached.url === src.url ? Number(cached.fetchedAt) || 0 : 0;
+    src.qth = cached.qth || null;
+    logInfo(`[StationsWithoutRDS] ${src.label} loaded from disk:`, count,
+      `(fetched ${new Date(Number(cached.fetchedAt) || 0).toISOString()})`);
+  } catch (e) {
+    logError(`[StationsWithoutRDS] ${src.label} disk cache read failed`, e);
   }
-  {
+}
+
+// локальный файл перечитываем, когда он меняется
+function loadSourceFile(src) {
+  try {
+    const mtimeMs = fs.statSync(src.path).mtimeMs;
+    if (mtimeMs === src.mtimeMs) return;
+    src.mtimeMs = mtimeMs;
+
+    const json = JSON.parse(fs.readFileSync(src.path, 'utf8'));
+    if (!validateSourceData(src.kind, json)) throw new Error(`${src.label} unexpected content`);
+    const count = applySourceData(src, json);
+    datasetVersion++;
+    src.fetchedAt = Date.now();
+    logInfo(`[StationsWithoutRDS] ${src.label} loaded:`, count);
+  } catch (e) {
+    if (src.failedAt) return; // не повторяем ошибку на каждом тике
+    src.failedAt = Date.now();
+    logError(`[StationsWithoutRDS] ${src.label} read failed`, e);
+    return;
+  }
+  src.failedAt = 0;
+}
+
+function isSourceStale(src) {
+  const now = Date.now();
+  if (src.loading) return false;
+  if (src.failedAt && now - src.failedAt < DATASET_RETRY_MS) return false;
+  // база вокруг QTH — после переезда кэш устаревает
+  if (src.aroundQth) {
+    const lat = Number(src.qth?.lat);
+    const lon = Number(src.qth?.lon);
+    if (!isValidQth(lat, lon) || haversine(lat, lon, qthLat, qthLon) > MAPS_REFETCH_KM) return true;
+  }
+  return !src.fetchedAt || now - src.fetchedAt >= src.refreshMs;
+}
+
+async function fetchSource(src) {
+  // QTH на момент запроса — он мог смениться, пока ждали ответ
+  const qth = src.aroundQth ? { lat: qthLat, lon: qthLon } : null;
+  src.loading = true;
+
+  try {
+    const res = await fetch(sourceUrl(src), { signal: AbortSignal.timeout(SOURCE_FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`${src.label} HTTP ${res.status}`);
+    const json = await res.json();
+    if (!validateSourceData(src.kind, json)) throw new Error(`${src.label} unexpected response`);
+    // источник убрали из конфига, пока шла загрузка
+    if (!sources.includes(src)) return;
+
+    // заменяем кэш только после успешной загрузки
+    const count = applySourceData(src, json);
+    datasetVersion++;
+    src.fetchedAt = Date.now();
+    src.failedAt = 0;
+    src.qth = qth;
+    logInfo(`[StationsWithoutRDS] ${src.label} loaded:`, count);
+
     try {
-      const url = `https://fmlist.ru/logos/index.json`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`fmlist.ru HTTP ${res.status}`);
-      const json = await res.json();
-      logosCacheFMLIST = json;
-      lastStationsLoadTs = Date.now();
-      logInfo('[StationsWithoutRDS] logos fmlist.ru loaded:', Object.keys(logosCacheFMLIST).length);
+      writeFileAtomicSync(src.cacheFile, JSON.stringify({ fetchedAt: src.fetchedAt, url: src.url, qth, data: json }));
     } catch (e) {
-      logError('[StationsWithoutRDS] logos fmlist.ru load failed', e);
+      logError(`[StationsWithoutRDS] ${src.label} disk cache write failed`, e);
     }
+  } catch (e) {
+    src.failedAt = Date.now();
+    logError(`[StationsWithoutRDS] ${src.label} load failed`, e);
+  } finally {
+    src.loading = false;
   }
 }
 
-// стартовая загрузка
-loadStationsFromMaps();
+/**
+ * Собирает список источников из pluginConfig.sources. Источник с тем же
+ * именем, типом и адресом сохраняет загруженные данные и время загрузки.
+ */
+function configureSources() {
+  // офлайн-набор заменяет все загрузки
+  const list = pluginConfig.offlineBundle
+    ? [{ type: 'bundle', path: pluginConfig.offlineBundle }]
+    : Array.isArray(pluginConfig.sources) ? pluginConfig.sources : DEFAULT_SOURCES;
+  const defaultHours = Number(pluginConfig.refreshStationsHours || 24);
+  const prev = new Map(sources.map((s) => [s.id, s]));
+  const next = [];
+
+  for (const cfg of list) {
+    const type = SOURCE_TYPES[cfg.type];
+    if (!type) continue;
+
+    const id = cfg.name || cfg.type;
+    const url = cfg.url || type.url || '';
+    const filePath = type.local && cfg.path ? path.resolve(cfgDir, cfg.path) : null;
+    if (type.local ? !filePath : !url) continue;
+
+    let src = prev.get(id);
+    const isNew = !src || src.type !== cfg.type || src.url !== url || src.path !== filePath;
+    if (isNew) {
+      src = {
+        id,
+        type: cfg.type,
+        kind: type.kind,
+        url,
+        path: filePath,
+        cacheFile: path.join(cfgDir, `StationsWithoutRDS_${id.replace(/[^\w.-]+/g, '_')}.json`),
+        locations: [],
+        index: emptyIndex(),
+        logos: {},
+        fetchedAt: 0,
+        failedAt: 0,
+        qth: null,
+        loading: false,
+        mtimeMs: 0,
+      };
+    }
+
+    src.label = cfg.name ? `${cfg.name} (${type.label || cfg.type})` : type.label || cfg.type;
+    src.enabled = cfg.enabled !== false;
+    src.priority = Number.isFinite(cfg.priority) ? cfg.priority : type.priority;
+    src.proxy = cfg.proxy === undefined ? type.proxy || '' : cfg.proxy || '';
+    src.refreshMs = Number(cfg.refreshHours || type.refreshHours || defaultHours) * 60 * 60 * 1000;
+    src.aroundQth = /\{(lat|lon)\}/.test(url);
+    // списки logoFiles хранятся отдельно (noobishFile)
+    if (isNew && !filePath && src.kind !== 'logoFiles') loadSourceFromDisk(src);
+    next.push(src);
+  }
+
+  // при равном priority — порядок из конфига
+  sources = next
+    .map((src, i) => ({ src, i }))
+    .sort((a, b) => a.src.priority - b.src.priority || a.i - b.i)
+    .map(({ src }) => src);
+
+  // состав баз мог измениться — сбрасываем кэш результатов
+  datasetVersion++;
+}
 
-// периодическое обновление (по refreshStationsMs из конфига)
-setInterval(() => {
-  pluginConfig = readJsonSafe(cfgFile, defaultConfig);
+// набор отдаёт и станции, и логотипы
+const activeSources = (kind) => sources.filter((s) => s.enabled && (s.kind === kind || s.kind === 'bundle'));
 
-  const hours = Number(pluginConfig.refreshStationsMs || 24);
-  const intervalMs = hours * 60 * 60 * 1000;
+// расстояния и азимуты в индексах считаются от QTH — при его смене пересчитываем
+function rebuildDatasetIndexes() {
+  for (const src of sources) {
+    if (src.kind !== 'logos' && src.kind !== 'logoFiles') src.index = buildDatasetIndex(src.locations);
+  }
+  datasetVersion++;
+}
 
-  if (!lastStationsLoadTs || Date.now() - lastStationsLoadTs >= intervalMs) {
-    loadStationsFromMaps();
+async function refreshSources() {
+  for (const src of sources) {
+    if (!src.enabled || src.kind === 'logoFiles') continue;
+    if (src.path) {
+      loadSourceFile(src);
+      continue;
+    }
+    if (REPLAY) continue;
+    if (src.aroundQth && (!qthLat || !qthLon)) continue;
+    if (isSourceStale(src)) await fetchSource(src);
   }
-}, 60 * 1000);
+}
+
+// стартовая загрузка: сначала диск, потом сеть (только устаревшее)
+configureSources();
+refreshSources();
+
+// периодическое обновление (по refreshHours источников)
+if (!REPLAY) {
+  setInterval(() => {
+    refreshSources();
+  }, 60 * 1000);
+}
 
 /* ================= LOGOS ================= */
 
@@ -238,314 +759,1172 @@ try {
   logError('[StationsWithoutRDS] failed to load local logos', e);
 }
 
-const noobishCache = {}; // ITU -> [files]
+// каталог логотипов по странам — источник noobish из sources
+function noobishSource() {
+  return sources.find((s) => s.enabled && s.kind === 'logoFiles') || null;
+}
 
-async function getNoobishLogos(itu) {
-  const key = String(itu || '').toUpperCase();
-  if (!key) return [];
-  if (noobishCache[key]) return noobishCache[key];
+function noobishBase() {
+  const src = noobishSource();
+  return src ? `${src.proxy}${src.url.replace(/\/+$/, '')}` : null;
+}
+
+// последняя загрузка списка не удалась — сеть недоступна
+let noobishOffline = false;
+
+// списки файлов noobish по странам сохраняются на диск, чтобы не читать их при каждом старте
+const noobishFile = path.join(cfgDir, 'StationsWithoutRDS_noobish.json');
+let noobishCache = {}; // ITU -> { files, fetchedAt, failed }
+const noobishPending = {}; // ITU -> Promise
 
+try {
+  if (fs.existsSync(noobishFile)) noobishCache = JSON.parse(fs.readFileSync(noobishFile, 'utf8')) || {};
+} catch (e) {
+  logError('[StationsWithoutRDS] noobish listings read failed', e);
+}
+
+function saveNoobishCache() {
+  if (REPLAY) return;
+  const out = {};
+  for (const [key, entry] of Object.entries(noobishCache)) {
+    if (!entry.failed) out[key] = { files: entry.files, fetchedAt: entry.fetchedAt };
+  }
   try {
-    const url = `https://proxy.fm-tuner.ru/https://tef.noobish.eu/logos/${key}/`;
-    const res = await fetch(url);
-    if (!res.ok) {
-      noobishCache[key] = [];
-      return [];
-    }
+    writeFileAtomicSync(noobishFile, JSON.stringify(out));
+  } catch (e) {
+    logError('[StationsWithoutRDS] noobish listings write failed', e);
+  }
+}
+
+async function fetchNoobishListing(base, key) {
+  const prev = noobishCache[key];
+
+  try {
+    const url = `${base}/${key}/`;
+    const res = await fetch(url, { signal: AbortSignal.timeout(SOURCE_FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
     const html = await res.text();
     const files = [...html.matchAll(/href="([^"]+\.(png|svg|gif))"/gi)]
       .map((m) => m[1])
       .filter(Boolean);
 
-    noobishCache[key] = files;
-    return files;
+    noobishCache[key] = { files, fetchedAt: Date.now() };
+    noobishOffline = false;
+    saveNoobishCache();
   } catch {
-    noobishCache[key] = [];
-    return [];
+    noobishOffline = true;
+    // старый список лучше пустого; повтор — через refreshHours
+    noobishCache[key] = { files: prev?.files || [], fetchedAt: Date.now(), failed: !prev?.files };
   }
+  return noobishCache[key].files;
 }
 
-async function findLogoUrl(st) {
+async function getNoobishLogos(itu) {
+  const key = String(itu || '').toUpperCase();
+  const src = noobishSource();
+  if (!key || !src) return [];
+
+  const cached = noobishCache[key];
+  const stale = !cached || Date.now() - cached.fetchedAt >= src.refreshMs;
+  if (!stale || REPLAY || pluginConfig.offlineBundle) return cached?.files || [];
+
+  if (!noobishPending[key]) {
+    noobishPending[key] = fetchNoobishListing(noobishBase(), key).finally(() => {
+      delete noobishPending[key];
+    });
+  }
+  // устаревший список отдаём сразу, новый подтянется в фоне
+  return cached ? cached.files : noobishPending[key];
+}
+
+/* ================= LOGO MATCHING ================= */
+
+// ниже этого — стандартный логотип, а не «что-нибудь похожее»
+const LOGO_MIN_SCORE = 0.75;
+// PI в имени файла совпал / противоречит
+const LOGO_PI_BONUS = 0.25;
+const LOGO_PI_PENALTY = 0.5;
+// файл назван только по PI
+const LOGO_PI_ONLY_SCORE = 0.9;
+const LOGO_DEBUG_TOP = 10;
+
+// без сети (офлайн-набор, воспроизведение, noobish недоступен или отключён)
+const LOCAL_DEFAULT_LOGO_URL = `data:image/svg+xml,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 60">' +
+  '<rect width="120" height="60" rx="8" fill="#3a3a3a"/>' +
+  '<text x="60" y="40" font-family="sans-serif" font-size="26" font-weight="bold" fill="#bbb" text-anchor="middle">FM</text>' +
+  '</svg>'
+)}`;
+
+function defaultLogoUrl() {
+  const base = noobishBase();
+  if (!base || REPLAY || pluginConfig.offlineBundle || noobishOffline) return LOCAL_DEFAULT_LOGO_URL;
+  return `${base}/default-logo.png`;
+}
+
+// файлы логотипов названы латиницей — кириллицу сравниваем в транслите
+const CYRILLIC_LATIN = {
+  А: 'A', Б: 'B', В: 'V', Г: 'G', Д: 'D', Е: 'E', Ё: 'E', Ж: 'ZH', З: 'Z', И: 'I', Й: 'Y',
+  К: 'K', Л: 'L', М: 'M', Н: 'N', О: 'O', П: 'P', Р: 'R', С: 'S', Т: 'T', У: 'U', Ф: 'F',
+  Х: 'KH', Ц: 'TS', Ч: 'CH', Ш: 'SH', Щ: 'SHCH', Ъ: '', Ы: 'Y', Ь: '', Э: 'E', Ю: 'YU', Я: 'YA',
+  І: 'I', Ї: 'YI', Є: 'YE', Ґ: 'G', Ў: 'U',
+};
+
+// "Европа Плюс" -> "EVROPAPLYUS"
+function logoName(str) {
+  return normalizeName(str).replace(/\p{Script=Cyrillic}/gu, (c) => CYRILLIC_LATIN[c] ?? c);
+}
+
+/**
+ * Имя файла логотипа -> { pi, name }. PI в начале имени бывает только
+ * у tef.noobish.eu ("7A01_EUROPAPLUS.png" -> { pi: '7A01', name: 'EUROPAPLUS' });
+ * свои файлы называются как станция целиком: "ABBA.png" — это ABBA, а не PI.
+ */
+function parseLogoFile(file, { noobish = false } = {}) {
+  const base = String(file).replace(/\.(svg|gif|webp|png|jpg|jpeg)$/i, '');
+  if (!noobish) return { pi: null, name: base };
+
+  const m = base.match(/^([0-9A-F]{4})(?:_(.*))?$/i);
+  if (m) return { pi: m[1].toUpperCase(), name: m[2] || '' };
+  return { pi: null, name: base.replace(/^[0-9A-F]+_/i, '') };
+}
+
+/**
+ * Похожесть нормализованных названий, 0..1. Короткие — только точно;
+ * "1" и "100" — разные станции. Начало другого названия ничем не лучше
+ * прочих отличий: "EUROPA" и "EUROPAPLUS" — это 0.6, без PI не проходит.
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < 3) return 0;
+
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  if (long.startsWith(short) && /\d$/.test(short) && /\d/.test(long[short.length])) return 0;
+  return Math.max(0, 1 - editDistance(a, b) / long.length);
+}
+
+function scoreLogoFile(file, name, pi, opts) {
+  const f = parseLogoFile(file, opts);
+  const piMatch = f.pi && pi ? f.pi === pi : null;
+  const fileName = logoName(f.name);
+
+  let score;
+  if (!fileName) {
+    score = piMatch ? LOGO_PI_ONLY_SCORE : 0;
+  } else {
+    score = nameSimilarity(name, fileName);
+    if (piMatch === true) score += LOGO_PI_BONUS;
+    if (piMatch === false) score -= LOGO_PI_PENALTY;
+  }
+
+  return { file, score: Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100, piMatch };
+}
+
+// файлы с ненулевой оценкой по убыванию; при равной — с совпавшим PI
+function rankLogoFiles(files, st, opts = {}) {
+  const name = logoName(st?.station || '');
+  const pi = normalizePi(st?.pi || '');
+
+  return files
+    .map((file) => scoreLogoFile(file, name, pi, opts))
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score || Number(b.piMatch === true) - Number(a.piMatch === true));
+}
+
+/**
+ * Логотип станции: { url, via, matches }. via — откуда взят
+ * (fmlist, logoUrls, local, noobish, default). С debug проверяются
+ * все варианты, а в matches — лучшие файлы с оценками.
+ */
+async function matchLogo(st, { debug = false } = {}) {
   const itu = String(st?.itu || '').toUpperCase() || 'RUS';
-  const target = normalizeName(st?.station || '');
+  const matches = [];
+  let found = null;
+  // true — искать дальше незачем
+  const take = (url, via) => {
+    if (!found) found = { url, via };
+    return !debug;
+  };
+  const result = () => ({ ...found, matches: matches.sort((a, b) => b.score - a.score).slice(0, LOGO_DEBUG_TOP) });
 
-  if ('idStation' in st && logosCacheFMLIST?.[st?.idStation]) {
-    return logosCacheFMLIST?.[st?.idStation]?.logoUrl
+  if ('idStation' in st) {
+    const logoUrl = activeSources('logos')
+      .map((src) => src.logos?.[st.idStation]?.logoUrl)
+      .find(Boolean);
+    if (logoUrl && take(logoUrl, 'fmlist')) return result();
   }
 
-  if ('logoUrls' in pluginConfig) {
-    const logoUrls = pluginConfig.logoUrls || {}
-    const nameSt = `${itu}_${(st?.station || '').replaceAll(' ', '').trim()}`
-    if (logoUrls?.[nameSt]) {
-      return logoUrls?.[nameSt]
-    }
+  const nameSt = `${itu}_${(st?.station || '').replaceAll(' ', '').trim()}`;
+  const configured = pluginConfig.logoUrls?.[nameSt];
+  if (configured && take(configured, 'logoUrls')) return result();
+
+  // 1) локальные — только для своих станций
+  if (st?.isCustom) {
+    const ranked = rankLogoFiles(Object.values(localLogos), st);
+    matches.push(...ranked.slice(0, LOGO_DEBUG_TOP).map((m) => ({ ...m, source: 'local', url: `/logos/${m.file}` })));
+    if (ranked[0]?.score >= LOGO_MIN_SCORE && take(`/logos/${ranked[0].file}`, 'local')) return result();
   }
 
-  // 1) локальные
-  if (localLogos && typeof localLogos === 'object' && st?.isCustom) {
-    const keys = Object.keys(localLogos);
+  // 2) tef.noobish.eu (источник noobish)
+  const base = noobishBase();
+  const ranked = rankLogoFiles(await getNoobishLogos(itu), st, { noobish: true });
+  matches.push(...ranked.slice(0, LOGO_DEBUG_TOP).map((m) => ({ ...m, source: 'noobish', url: `${base}/${itu}/${m.file}` })));
+  if (ranked[0]?.score >= LOGO_MIN_SCORE) take(`${base}/${itu}/${ranked[0].file}`, 'noobish');
 
-    const tryFind = (search, strongly = false) => {
-      if (!search) return null
-      const searchNorm = normalizeName(search);
+  take(defaultLogoUrl(), 'default');
+  return result();
+}
 
-      // 1️⃣ Строгое совпадение
-      for (const k of keys) {
-        const localKeyNorm = normalizeName(k);
-        if (localKeyNorm === searchNorm) {
-          const file = localLogos[k];
-          if (file) return `/logos/${file}`;
-        }
-      }
-      // 2️⃣ Частичное совпадение
-      if (strongly) {
-        for (const k of keys) {
-          const localKeyNorm = normalizeName(k);
-          if (
-            localKeyNorm.includes(searchNorm) ||
-            searchNorm.includes(localKeyNorm)
-          ) {
-            const file = localLogos[k];
-            if (file) return `/logos/${file}`;
-          }
-        }
+async function findLogoUrl(st) {
+  return (await matchLogo(st)).url;
+}
+
+/* ================= LOGO MIRROR ================= */
+
+// удалённые логотипы скачиваются сюда и отдаются веб-сервером как /logos/StationsWithoutRDS/...
+const mirrorDir = path.join(logosDir, 'StationsWithoutRDS');
+const mirrorIndexFile = path.join(mirrorDir, 'index.json');
+const MIRROR_URL_PREFIX = '/logos/StationsWithoutRDS/';
+// повтор неудачного скачивания
+const LOGO_RETRY_MS = 60 * 60 * 1000;
+const LOGO_MAX_BYTES = 1024 * 1024;
+// SVG не зеркалируется: со своего адреса в нём исполнились бы скрипты
+const LOGO_SVG_TYPE = 'image/svg+xml';
+const LOGO_TYPES = {
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/jpeg': '.jpg',
+  'image/webp': '.webp',
+};
+
+let mirrorIndex = {}; // url -> { file, fetchedAt, failedAt, skipped }
+const mirrorQueue = [];
+let mirrorBusy = false;
+// растёт с каждым скачанным логотипом — кэш результатов отдаёт уже локальный адрес
+let logoVersion = 0;
+
+function logoMirrorSettings() {
+  const m = pluginConfig.logoMirror || {};
+  return {
+    enabled: m.enabled === true,
+    refreshMs: Number(m.refreshHours || 168) * 60 * 60 * 1000,
+  };
+}
+
+// в офлайн-наборе и при воспроизведении — только то, что уже скачано
+const canDownloadLogos = () => !REPLAY && !pluginConfig.offlineBundle && logoMirrorSettings().enabled;
+
+function loadMirrorIndex() {
+  try {
+    if (!fs.existsSync(mirrorIndexFile)) return;
+    const index = JSON.parse(fs.readFileSync(mirrorIndexFile, 'utf8')) || {};
+    // файлы могли удалить руками
+    for (const entry of Object.values(index)) {
+      if (entry.file && !fs.existsSync(path.join(mirrorDir, entry.file))) delete entry.file;
+      // SVG, скачанные прежними версиями, больше не отдаём
+      if (entry.file && isSvgFile(entry.file)) {
+        fs.rmSync(path.join(mirrorDir, entry.file), { force: true });
+        delete entry.file;
+        entry.skipped = 'svg';
       }
-      return null
-    };
-    // потом target
-    const result = tryFind(target);
-    if (result) return result;
-
-    // сначала st.pi
-    if (st?.pi && (st?.pi || '').toUpperCase() !== 'NOPI') {
-      const result = tryFind(st.pi, true);
-      if (result) return result;
     }
+    mirrorIndex = index;
+    logInfo('[StationsWithoutRDS] mirrored logos:', Object.values(index).filter((e) => e.file).length);
+  } catch (e) {
+    logError('[StationsWithoutRDS] logo mirror index read failed', e);
+  }
+}
 
+function saveMirrorIndex() {
+  try {
+    ensureDirSync(mirrorDir);
+    writeFileAtomicSync(mirrorIndexFile, JSON.stringify(mirrorIndex, null, 2));
+  } catch (e) {
+    logError('[StationsWithoutRDS] logo mirror index write failed', e);
   }
+}
+
+const isSvgFile = (url) => /\.svg(?:[?#].*)?$/i.test(url);
+
+function logoContentType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function logoExtension(url, contentType) {
+  const type = logoContentType(contentType);
+  if (LOGO_TYPES[type]) return LOGO_TYPES[type];
+  // часть серверов отдаёт картинки как octet-stream — верим расширению
+  if (type && type !== 'application/octet-stream') return null;
+  const m = url.match(/\.(png|gif|jpe?g|webp)(?:[?#].*)?$/i);
+  return m ? `.${m[1].toLowerCase().replace('jpeg', 'jpg')}` : null;
+}
 
-  // helpers
-  const stripExt = (s) => s.replace(/\.(svg|gif|webp|png|jpg|jpeg)$/i, '');
-  const stripHexPrefix = (s) => s.replace(/^[0-9A-F]+_/, '');
+async function downloadLogo(url) {
+  const prev = mirrorIndex[url] || {};
 
-  // normalize station name (RADIO можно убирать)
-  const normalizeStation = (s) =>
-    normalizeName(s)
-      .replace(/^RADIO/, '')
-      .replace(/RADIO/g, '');
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (logoContentType(res.headers.get('content-type')) === LOGO_SVG_TYPE) {
+      // адрес без расширения оказался SVG — так и отдаём исходный
+      mirrorIndex[url] = { skipped: 'svg' };
+      saveMirrorIndex();
+      return;
+    }
+    const ext = logoExtension(url, res.headers.get('content-type'));
+    if (!ext) throw new Error(`not an image (${res.headers.get('content-type')})`);
 
-  // normalize file name (RADIO НЕ трогаем)
-  const normalizeFile = (file) =>
-    normalizeName(stripHexPrefix(stripExt(file)));
+    const buf = Buffer.from(await res.arrayBuffer());
+    if (!buf.length || buf.length > LOGO_MAX_BYTES) throw new Error(`unexpected size ${buf.length}`);
+
+    const file = `${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}${ext}`;
+    ensureDirSync(mirrorDir);
+    writeFileAtomicSync(path.join(mirrorDir, file), buf);
+    if (prev.file && prev.file !== file) fs.rmSync(path.join(mirrorDir, prev.file), { force: true });
+
+    mirrorIndex[url] = { file, fetchedAt: Date.now() };
+    logoVersion++;
+  } catch (e) {
+    // при неудачном обновлении старый файл продолжает отдаваться
+    mirrorIndex[url] = { ...prev, failedAt: Date.now() };
+    if (!prev.failedAt) logError(`[StationsWithoutRDS] logo download failed: ${url}`, e.message);
+  }
 
-  const makeUrl = (file) =>
-    `https://proxy.fm-tuner.ru/https://tef.noobish.eu/logos/${itu}/${file}`;
+  saveMirrorIndex();
+}
 
-  // =====================
-  // noobish logo search
-  // =====================
-  const files = await getNoobishLogos(itu);
-  if (!files?.length) {
-    return `https://proxy.fm-tuner.ru/https://tef.noobish.eu/logos/default-logo.png`
+async function drainMirrorQueue() {
+  if (mirrorBusy) return;
+  mirrorBusy = true;
+  try {
+    while (mirrorQueue.length) {
+      await downloadLogo(mirrorQueue[0]);
+      mirrorQueue.shift();
+    }
+  } finally {
+    mirrorBusy = false;
   }
+}
+
+function queueLogo(url) {
+  if (!canDownloadLogos() || mirrorQueue.includes(url)) return;
+  mirrorQueue.push(url);
+  drainMirrorQueue();
+}
 
-  const sName = String(st?.station || '').toUpperCase();
-  const piNorm = normalizePi(st?.pi || '');
+/**
+ * Локальный адрес логотипа, если он уже скачан; иначе — исходный,
+ * а скачивание ставится в очередь.
+ */
+function mirrorLogoUrl(url) {
+  if (!url || !/^https?:\/\//i.test(url) || !logoMirrorSettings().enabled) return url;
+  if (isSvgFile(url)) return url;
+
+  const entry = mirrorIndex[url];
+  if (entry?.skipped) return url;
+  if (entry?.file) return MIRROR_URL_PREFIX + entry.file;
+  if (!entry?.failedAt || Date.now() - entry.failedAt >= LOGO_RETRY_MS) queueLogo(url);
+  return url;
+}
 
+async function resolveLogoUrl(st) {
+  return mirrorLogoUrl(await findLogoUrl(st));
+}
 
-  // =====================
-  // 1) PI + STATION (strict)
-  // =====================
-  if (piNorm) {
-    const target = `${piNorm}_${sName.replaceAll(' ', '')}`;
+// периодически перекачиваем старые логотипы — станции меняют оформление
+function refreshLogoMirror() {
+  if (!canDownloadLogos()) return;
+  const { refreshMs } = logoMirrorSettings();
+  const now = Date.now();
 
-    for (const file of files) {
-      if (stripExt(file) === target) {
-        return makeUrl(file);
-      }
+  for (const [url, entry] of Object.entries(mirrorIndex)) {
+    if (!entry.file || now - (entry.fetchedAt || 0) < refreshMs) continue;
+    if (entry.failedAt && now - entry.failedAt < LOGO_RETRY_MS) continue;
+    queueLogo(url);
+  }
+}
+
+loadMirrorIndex();
+
+if (!REPLAY) {
+  refreshLogoMirror();
+  setInterval(refreshLogoMirror, 60 * 60 * 1000);
+}
+
+/* ================= CONFIRMED STATIONS ================= */
+
+const confirmedFile = path.join(cfgDir, 'StationsWithoutRDS_confirmed.json');
+
+// "частота|антенна" -> { key, station, location, itu, pi, count, ts }
+let confirmedStations = {};
+try {
+  if (fs.existsSync(confirmedFile)) {
+    confirmedStations = JSON.parse(fs.readFileSync(confirmedFile, 'utf8')) || {};
+  }
+} catch (e) {
+  logError('[StationsWithoutRDS] confirmed stations read failed', e);
+}
+
+// растёт при изменении пользовательских данных (подтверждения и т.п.)
+let userStateVersion = 0;
+
+// id записи уникален только внутри своей базы; у maps.fmdx — прежний префикс,
+// чтобы сохранённые подтверждения и скрытые станции остались в силе
+function recordIdPrefix(sourceId) {
+  const src = sources.find((s) => s.id === sourceId);
+  return (src?.type ?? sourceId) === 'maps' ? 'fmdx' : sourceId;
+}
+
+function candidateKey(rec, sourceId) {
+  if (rec.id) return `${recordIdPrefix(sourceId)}:${rec.id}`;
+  if (rec.idStation) return `fmlist:${rec.idStation}`;
+  return `custom:${rec.itu || ''}/${rec.station || ''}/${rec.location || ''}`;
+}
+
+const confirmedSlot = (freq, ant) => `${normalizeFreq(freq)}|${Number(ant) || 0}`;
+
+function getConfirmed(freq, ant) {
+  return confirmedStations[confirmedSlot(freq, ant)] || null;
+}
+
+function setConfirmed(freq, ant, candidate) {
+  const slot = confirmedSlot(freq, ant);
+
+  if (!candidate) {
+    delete confirmedStations[slot];
+  } else {
+    const prev = confirmedStations[slot];
+    confirmedStations[slot] = {
+      key: candidate.key,
+      station: candidate.station || '',
+      location: candidate.location || '',
+      itu: candidate.itu || '',
+      pi: candidate.pi || '',
+      count: prev?.key === candidate.key ? (prev.count || 0) + 1 : 1,
+      ts: Date.now(),
+    };
+  }
+
+  userStateVersion++;
+  try {
+    writeJsonSync(confirmedFile, confirmedStations);
+  } catch (e) {
+    logError('[StationsWithoutRDS] confirmed stations write failed', e);
+  }
+}
+
+/* ================= HIDDEN CANDIDATES ================= */
+
+const hiddenFile = path.join(cfgDir, 'StationsWithoutRDS_hidden.json');
+
+// [{ key, freq, ant (null — на всех антеннах), station, location, itu, ts }]
+let hiddenCandidates = [];
+try {
+  if (fs.existsSync(hiddenFile)) {
+    const json = JSON.parse(fs.readFileSync(hiddenFile, 'utf8'));
+    if (Array.isArray(json)) hiddenCandidates = json.filter((h) => h && h.key);
+  }
+} catch (e) {
+  logError('[StationsWithoutRDS] hidden candidates read failed', e);
+}
+
+function hiddenMatches(h, key, freq, ant) {
+  if (h.key !== key) return false;
+  if (h.freq !== null && h.freq !== undefined && freqKey(h.freq) !== freqKey(freq)) return false;
+  if (h.ant !== null && h.ant !== undefined && Number(h.ant) !== (Number(ant) || 0)) return false;
+  return true;
+}
+
+function isHidden(rec, ant) {
+  return hiddenCandidates.some((h) => hiddenMatches(h, rec.key, rec.freq, ant));
+}
+
+function removeHidden(list, ant) {
+  if (!hiddenCandidates.length) return list;
+  return list.filter((r) => !isHidden(r, ant));
+}
+
+function saveHidden() {
+  userStateVersion++;
+  try {
+    writeJsonSync(hiddenFile, hiddenCandidates);
+  } catch (e) {
+    logError('[StationsWithoutRDS] hidden candidates write failed', e);
+  }
+}
+
+/**
+ * Скрывает кандидата на его частоте: на одной антенне (ant)
+ * или на всех (ant === null).
+ */
+function hideCandidate(candidate, ant) {
+  const scopeAnt = ant === null || ant === undefined ? null : Number(ant) || 0;
+  const freq = freqKey(candidate.freq);
+
+  // более узкие записи того же кандидата поглощаются новой
+  hiddenCandidates = hiddenCandidates.filter((h) =>
+    !(h.key === candidate.key && freqKey(h.freq) === freq && (scopeAnt === null || Number(h.ant) === scopeAnt)));
+
+  hiddenCandidates.push({
+    key: candidate.key,
+    freq,
+    ant: scopeAnt,
+    station: candidate.station || '',
+    location: candidate.location || '',
+    itu: candidate.itu || '',
+    ts: Date.now(),
+  });
+  saveHidden();
+}
+
+function unhideCandidate(key, freq, ant) {
+  const before = hiddenCandidates.length;
+  hiddenCandidates = hiddenCandidates.filter((h) =>
+    !(h.key === key &&
+      (freq === undefined || freqKey(h.freq) === freqKey(freq)) &&
+      (ant === undefined || (h.ant ?? null) === ant)));
+  if (hiddenCandidates.length !== before) saveHidden();
+  return before - hiddenCandidates.length;
+}
+
+/* ================= ANTENNAS ================= */
+
+const DEFAULT_BEAMWIDTH = 60;
+const DEFAULT_FRONT_TO_BACK_DB = 20;
+
+function getAntenna(ant) {
+  const list = Array.isArray(pluginConfig.antennas) ? pluginConfig.antennas : [];
+  const n = Number(ant) || 0;
+  return list.find((a) => Number(a?.antenna ?? a?.ant ?? 0) === n) || null;
+}
+
+const angleDiff = (a, b) => {
+  const d = Math.abs((((a - b) % 360) + 360) % 360);
+  return d > 180 ? 360 - d : d;
+};
+
+/**
+ * Потери по диаграмме направленности: −3 дБ на краю луча,
+ * дальше линейно до frontToBack дБ назад. Без azimuth — круговая антенна.
+ */
+function beamLossDb(antenna, azimuth) {
+  const az = Number(antenna?.azimuth);
+  if (!antenna || !Number.isFinite(az) || !Number.isFinite(Number(azimuth))) {
+    return { loss: 0, outOfBeam: false };
+  }
+
+  const half = Math.min(Math.max(Number(antenna.beamwidth) || DEFAULT_BEAMWIDTH, 1), 360) / 2;
+  const fb = Number(antenna.frontToBack ?? DEFAULT_FRONT_TO_BACK_DB);
+  const off = angleDiff(Number(azimuth), az);
+
+  if (off <= half) return { loss: 3 * (off / half) ** 2, outOfBeam: false };
+  if (half >= 180) return { loss: 3, outOfBeam: false };
+
+  const loss = 3 + (Math.max(fb, 3) - 3) * ((off - half) / (180 - half));
+  return { loss, outOfBeam: true };
+}
+
+/**
+ * Накладывает диаграмму антенны на кандидатов:
+ * помечает outOfBeam / beamLossDb, при outOfBeam: 'hide' — убирает.
+ */
+function applyAntennaPattern(list, ant) {
+  const antenna = getAntenna(ant);
+  if (!antenna) return list;
+
+  const hide = String(antenna.outOfBeam || 'demote').toLowerCase() === 'hide';
+  const out = [];
+
+  for (const r of list) {
+    const { loss, outOfBeam } = beamLossDb(antenna, r.azimuth);
+    r.beamLossDb = Number(loss.toFixed(1));
+    if (outOfBeam) {
+      if (hide) continue;
+      r.outOfBeam = true;
     }
+    out.push(r);
+  }
 
-    // =====================
-    // 2) PI only
-    // =====================
-    for (const file of files) {
-      if (stripExt(file) === piNorm) {
-        return makeUrl(file);
-      }
+  return out;
+}
+
+/* ================= SCHEDULES ================= */
+
+// ISO: понедельник = 1 ... воскресенье = 7
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const timeFormatters = new Map(); // timezone -> Intl.DateTimeFormat
+const badTimezones = new Set();
+
+function timeFormatter(tz) {
+  const key = tz || '';
+  if (timeFormatters.has(key)) return timeFormatters.get(key);
+
+  let fmt;
+  try {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz || undefined,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+  } catch (e) {
+    if (!badTimezones.has(key)) {
+      badTimezones.add(key);
+      logError(`[StationsWithoutRDS] unknown timezone "${tz}", using server local time`);
     }
+    fmt = timeFormatter('');
   }
 
-  // =====================
-  // station candidates
-  // =====================
-  const stationCandidatesRaw = [
-    sName,
-    sName.replaceAll(' ', ''),
-    sName.replace(/^RADIO/, ''),
-    sName.replace(/^RADIO/, '').replaceAll(' ', ''),
-  ].filter(Boolean);
-
-  const stationNorms = [
-    ...new Set(stationCandidatesRaw.map(normalizeStation)),
-  ];
-
-  // =====================
-  // 3) exact name match
-  // =====================
-  for (const file of files) {
-    const fNorm = normalizeFile(file);
-    if (stationNorms.includes(fNorm)) {
-      return makeUrl(file);
+  timeFormatters.set(key, fmt);
+  return fmt;
+}
+
+// день недели (1..7) и минута суток в заданном часовом поясе
+function localTimeParts(tz, now) {
+  const parts = {};
+  for (const p of timeFormatter(tz).formatToParts(now)) parts[p.type] = p.value;
+  return {
+    day: WEEKDAYS.indexOf(String(parts.weekday).toLowerCase().slice(0, 3)) + 1,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// "06:30" -> 390; "24:00" допустимо как конец суток
+function parseClock(v) {
+  const m = String(v ?? '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const min = Number(m[1]) * 60 + Number(m[2] || 0);
+  return min <= 24 * 60 && Number(m[2] || 0) < 60 ? min : null;
+}
+
+/**
+ * Дни недели: "mon-fri", "sat,sun", "daily", [1, 2, 3] или ["mon", "wed"].
+ * Без days — каждый день.
+ */
+function parseDays(v) {
+  if (v === undefined || v === null || v === '' || v === 'daily') return new Set([1, 2, 3, 4, 5, 6, 7]);
+
+  const items = Array.isArray(v) ? v : String(v).split(',');
+  const out = new Set();
+  const dayNum = (x) => {
+    const n = Number(x);
+    if (Number.isInteger(n) && n >= 1 && n <= 7) return n;
+    return WEEKDAYS.indexOf(String(x).trim().toLowerCase().slice(0, 3)) + 1 || null;
+  };
+
+  for (const item of items) {
+    const [a, b] = String(item).split('-');
+    const from = dayNum(a);
+    const to = b === undefined ? from : dayNum(b);
+    if (!from || !to) continue;
+    // "sat-mon" переходит через воскресенье
+    for (let d = from, i = 0; i < 7; d = (d % 7) + 1, i++) {
+      out.add(d);
+      if (d === to) break;
     }
   }
+  return out;
+}
 
-  // =====================
-  // 4) partial match (safe)
-  // =====================
-  for (const file of files) {
-    const fNorm = normalizeFile(file);
+/**
+ * Работает ли станция по расписанию сейчас.
+ * schedule: [{ days, from: "HH:MM", to: "HH:MM" }], to < from — через полночь.
+ * null — расписания нет (или оно пустое/некорректное), считаем в эфире.
+ */
+function isOnAir(schedule, tz, now) {
+  if (!Array.isArray(schedule) || !schedule.length) return null;
+
+  const { day, minutes } = localTimeParts(tz, now);
+  const prevDay = day === 1 ? 7 : day - 1;
+  let valid = false;
+
+  for (const slot of schedule) {
+    const from = parseClock(slot?.from ?? '00:00');
+    const to = parseClock(slot?.to ?? '24:00');
+    if (from === null || to === null) continue;
+    valid = true;
+
+    const days = parseDays(slot.days);
+    if (from < to) {
+      if (days.has(day) && minutes >= from && minutes < to) return true;
+    } else {
+      // хвост после полуночи относится к предыдущему дню
+      if (days.has(day) && minutes >= from) return true;
+      if (days.has(prevDay) && minutes < to) return true;
+    }
+  }
 
-    if (
-      stationNorms.some(
-        (n) =>
-          n.length >= 3 &&
-          (fNorm.includes(n) || n.includes(fNorm))
-      )
-    ) {
-      return makeUrl(file);
+  return valid ? false : null;
+}
+
+/**
+ * Помечает кандидатов вне эфира (offAir),
+ * при scheduleMode: 'hide' — убирает их.
+ */
+function applySchedules(list, now = clock.now()) {
+  const hide = String(pluginConfig.scheduleMode || 'demote').toLowerCase() === 'hide';
+  const out = [];
+
+  for (const r of list) {
+    if (isOnAir(r.schedule, r.timezone || pluginConfig.timezone, now) === false) {
+      if (hide) continue;
+      r.offAir = true;
     }
+    out.push(r);
   }
 
-  // =====================
-  // 5) fallback: strong partial (HEX removed + RADIO removed)
-  // =====================
-  const normalizeFileStrong = (file) =>
-    normalizeStation(stripHexPrefix(stripExt(file)));
+  return out;
+}
 
-  for (const file of files) {
-    const fNorm = normalizeFileStrong(file);
+/* ================= PROPAGATION ================= */
+
+// Поле в свободном пространстве: 106.9 дБмкВ/м на 1 км при ERP 1 кВт
+const FREE_SPACE_1KW_1KM = 106.9;
+// Антенный фактор диполя на 100 МГц (дБмкВ/м -> дБмкВ)
+const ANTENNA_FACTOR_DB = 10;
+// Высота подвеса передающей антенны, если в базе её нет, м
+const DEFAULT_TX_HEIGHT_M = 150;
+
+// Упрощённые кривые ITU-R P.1546: 100 МГц, суша, 50% мест / 50% времени,
+// поле в дБмкВ/м при ERP 1 кВт для трёх эффективных высот антенны.
+const P1546_DISTANCES_KM = [1, 10, 20, 50, 100, 200, 300, 500, 1000];
+const P1546_CURVES = [
+  { h: 37.5, e: [96, 67, 58, 45, 33, 15, 5, -10, -34] },
+  { h: 150, e: [102, 78, 70, 57, 45, 27, 15, -2, -28] },
+  { h: 600, e: [106, 90, 84, 72, 60, 40, 27, 8, -20] },
+];
+
+function interpolateCurve(curve, d) {
+  const xs = P1546_DISTANCES_KM;
+  const ld = Math.log10(d);
+  let i = xs.findIndex((x) => x >= d);
+  if (i <= 0) i = i === 0 ? 1 : xs.length - 1; // ниже 1 км / дальше 1000 км — экстраполяция
+  const x0 = Math.log10(xs[i - 1]);
+  const x1 = Math.log10(xs[i]);
+  const t = (ld - x0) / (x1 - x0);
+  return curve.e[i - 1] + (curve.e[i] - curve.e[i - 1]) * t;
+}
 
-    if (
-      stationNorms.some(
-        (n) => fNorm.includes(n) || n.includes(fNorm)
-      )
-    ) {
-      return makeUrl(file);
+/**
+ * Ожидаемая напряжённость поля (дБмкВ/м) при ERP 1 кВт на расстоянии d км
+ * для высоты передающей антенны h м. Не больше, чем в свободном пространстве.
+ */
+function fieldStrength1kW(d, h) {
+  const dist = Math.max(Number(d) || 0, 1);
+  const height = Number(h) > 0 ? Number(h) : DEFAULT_TX_HEIGHT_M;
+
+  const curves = P1546_CURVES;
+  let e;
+  if (height <= curves[0].h) {
+    e = interpolateCurve(curves[0], dist);
+  } else if (height >= curves[curves.length - 1].h) {
+    e = interpolateCurve(curves[curves.length - 1], dist);
+  } else {
+    const j = curves.findIndex((c) => c.h >= height);
+    const lo = curves[j - 1];
+    const hi = curves[j];
+    const t = (Math.log10(height) - Math.log10(lo.h)) / (Math.log10(hi.h) - Math.log10(lo.h));
+    e = interpolateCurve(lo, dist) + (interpolateCurve(hi, dist) - interpolateCurve(lo, dist)) * t;
+  }
+
+  const freeSpace = FREE_SPACE_1KW_1KM - 20 * Math.log10(dist);
+  return Math.min(e, freeSpace);
+}
+
+/* ================= RANKING ================= */
+
+const DEFAULT_ERP_KW = 1;
+// Разброс измеренного уровня относительно прогноза, дБ:
+// слабее прогноза — подозрительно, сильнее — возможно прохождение
+const SIGNAL_SIGMA_BELOW_DB = 10;
+const SIGNAL_SIGMA_ABOVE_DB = 18;
+// Расхождение с прогнозом, после которого кандидат помечается levelMismatch
+const DEFAULT_LEVEL_TOLERANCE_DB = 20;
+// Вес априорной «силы» передатчика (ERP / расстояние)
+const STRENGTH_WEIGHT = 0.5;
+// Штраф станции на краю допуска сетки (сдвиг от канала)
+const OFFSET_PENALTY_DB = 6;
+// Штраф станциям без PI, когда есть частично декодированный PI
+const UNKNOWN_PI_PENALTY_DB = 6;
+// Штраф станциям из страны, не совпадающей с PI / ECC
+const COUNTRY_MISMATCH_PENALTY_DB = 10;
+// по расписанию станция сейчас не в эфире
+const OFF_AIR_PENALTY_DB = 20;
+
+function erpOf(rec) {
+  const erp = Number(rec?.erp);
+  return Number.isFinite(erp) && erp > 0 ? erp : DEFAULT_ERP_KW;
+}
+
+function polarizationLossDb(txPol, rxPol) {
+  const tx = String(txPol || '').toUpperCase();
+  const rx = String(rxPol || 'H').toUpperCase();
+  if (!tx) return 0;
+  if (tx === rx) return 0;
+  // смешанная / круговая поляризация
+  if (tx === 'M' || tx === 'C' || tx.length > 1) return 3;
+  return 10;
+}
+
+function receptionLossDb(rec, rxPol) {
+  return polarizationLossDb(rec.pol, rxPol) + (Number(rec.beamLossDb) || 0);
+}
+
+// Ожидаемый уровень на входе приёмника, дБмкВ
+function predictSignalDbuv(rec, rx) {
+  const field = fieldStrength1kW(rec.distance, rec.height) + 10 * Math.log10(erpOf(rec));
+  return field - ANTENNA_FACTOR_DB + rx.gain - receptionLossDb(rec, rx.pol);
+}
+
+/**
+ * Оценка кандидата в дБ (логарифм правдоподобия в единицах 10·log10).
+ * Чем больше — тем вероятнее, что слышим именно этот передатчик.
+ */
+function scoreCandidate(rec, ctx) {
+  const d = Math.max(Number(rec.distance) || 0, 1);
+  const rx = ctx.rx;
+
+  const strength =
+    10 * Math.log10(erpOf(rec)) - 20 * Math.log10(d) - receptionLossDb(rec, rx.pol);
+  let score = STRENGTH_WEIGHT * strength;
+
+  const expected = predictSignalDbuv(rec, rx);
+  rec.expected = Math.round(expected);
+
+  if (Number.isFinite(ctx.signal)) {
+    const delta = ctx.signal - expected;
+    const sigma = delta < 0 ? SIGNAL_SIGMA_BELOW_DB : SIGNAL_SIGMA_ABOVE_DB;
+    score -= (10 * Math.LOG10E * delta * delta) / (2 * sigma * sigma);
+    if (Math.abs(delta) > ctx.levelTolerance) rec.levelMismatch = true;
+  }
+
+  if (rec.freqOffsetKHz) {
+    const band = bandFor(ctx.freq);
+    const tol = band?.toleranceKHz || 1;
+    score -= OFFSET_PENALTY_DB * (rec.freqOffsetKHz / tol) ** 2;
+  }
+  if (rec.piMatch === 'unknown') score -= UNKNOWN_PI_PENALTY_DB;
+  if (rec.countryMismatch) score -= COUNTRY_MISMATCH_PENALTY_DB;
+  if (rec.offAir) score -= OFF_AIR_PENALTY_DB;
+
+  return score;
+}
+
+function rankCandidates(list, ctx = {}) {
+  // результат зависит от времени суток — кэш учтёт это (searchStationsCached)
+  if (list.some((r) => r.schedule)) ctx.timeSensitive = true;
+  list = applySchedules(applyAntennaPattern(removeHidden(list, ctx.ant), ctx.ant));
+  if (!list.length) return list;
+
+  const antenna = getAntenna(ctx.ant);
+  const tolerance = Number(pluginConfig.levelToleranceDb);
+  const rankCtx = {
+    signal: Number.isFinite(ctx.signal) ? ctx.signal : null,
+    freq: ctx.freq,
+    rx: {
+      pol: antenna?.pol || pluginConfig.polarization || 'H',
+      gain: Number(antenna?.gain) || 0,
+    },
+    levelTolerance: Number.isFinite(tolerance) && tolerance > 0 ? tolerance : DEFAULT_LEVEL_TOLERANCE_DB,
+  };
+
+  for (const r of list) r.score = scoreCandidate(r, rankCtx);
+  list.sort((a, b) => b.score - a.score || Number(a.distance) - Number(b.distance));
+
+  // score (дБ) -> доля вероятности среди кандидатов
+  const top = list[0].score;
+  let sum = 0;
+  for (const r of list) sum += 10 ** ((r.score - top) / 10);
+  for (const r of list) {
+    r.confidence = Number((10 ** ((r.score - top) / 10) / sum).toFixed(2));
+    r.score = Number(r.score.toFixed(1));
+  }
+
+  // подтверждённая пользователем станция — всегда первая
+  const confirmed = ctx.freq != null ? getConfirmed(ctx.freq, ctx.ant) : null;
+  if (confirmed) {
+    const idx = list.findIndex((r) => r.key === confirmed.key);
+    if (idx >= 0) {
+      const [rec] = list.splice(idx, 1);
+      rec.confirmed = true;
+      list.unshift(rec);
+    }
+  }
+
+  return list;
+}
+
+/* ================= MERGE SOURCES ================= */
+
+// передатчики ближе этого на одной частоте — одно и то же место
+const SAME_SITE_KM = 3;
+// поля, расхождения в которых показываем
+const CONFLICT_FIELDS = ['pi', 'erp', 'pol', 'station'];
+// поля, которые берём из другой базы, если в первой их нет
+const FILL_FIELDS = ['pi', 'pol', 'erp', 'height', 'idStation', 'schedule'];
+// название без букв и цифр — неизвестно, а не совпадение
+const comparableName = (str) => normalizeName(str) || null;
+
+// "Europa Plus" и "Европа Плюс" — перевод, а не расхождение
+const sameScript = (a, b) => /\p{Script=Cyrillic}/u.test(a) === /\p{Script=Cyrillic}/u.test(b);
+
+function comparableValue(rec, field) {
+  const v = rec[field];
+  if (v === null || v === undefined || v === '') return null;
+  if (field === 'pi') return normalizePi(v);
+  if (field === 'pol') return String(v).toUpperCase();
+  if (field === 'station') return v === 'Unknown' ? null : comparableName(v);
+  return Number(v);
+}
+
+function isSameStation(a, b) {
+  if (a.rec.freq !== b.rec.freq) return false;
+
+  const d = haversine(Number(a.loc.lat), Number(a.loc.lon), Number(b.loc.lat), Number(b.loc.lon));
+  if (!(d <= SAME_SITE_KM)) return false;
+
+  const pa = normalizePi(a.rec.pi);
+  const pb = normalizePi(b.rec.pi);
+  if (!pa || !pb || pa === pb) return true;
+  // PI расходится — та же станция, только если совпадает название
+  const na = comparableName(a.rec.station);
+  return na !== null && na === comparableName(b.rec.station);
+}
+
+/**
+ * Дописывает в запись из первой базы данные той же станции из другой:
+ * недостающие поля заполняются, расхождения попадают в conflicts
+ * ({ field, values: { источник: значение } }).
+ */
+function absorbHit(target, hit, sourceId) {
+  const { rec } = target;
+  rec.sources.push(sourceId);
+
+  for (const field of CONFLICT_FIELDS) {
+    const a = comparableValue(rec, field);
+    const b = comparableValue(hit.rec, field);
+    if (a === null || b === null || a === b) continue;
+    if (field === 'station' && !sameScript(a, b)) continue;
+
+    rec.conflicts = rec.conflicts || [];
+    let conflict = rec.conflicts.find((c) => c.field === field);
+    if (!conflict) {
+      conflict = { field, values: { [rec.sources[0]]: rec[field] } };
+      rec.conflicts.push(conflict);
     }
+    conflict.values[sourceId] = hit.rec[field];
   }
 
-  return `https://proxy.fm-tuner.ru/https://tef.noobish.eu/logos/default-logo.png`;
+  for (const field of FILL_FIELDS) {
+    if (comparableValue(rec, field) === null && hit.rec[field] != null && hit.rec[field] !== '') {
+      rec[field] = hit.rec[field];
+    }
+  }
+}
+
+/**
+ * Склеивает кандидатов из источников (уже по priority): одна станция —
+ * одна запись, в sources — все базы, где она есть. Частота та же,
+ * место ближе SAME_SITE_KM, PI не противоречит (или совпадает название).
+ */
+function mergeSourceHits(groups) {
+  const merged = [];
+
+  for (const { id, hits } of groups) {
+    for (const hit of hits) {
+      // внутри одной базы не склеиваем — там это разные записи
+      const target = merged.find((m) => !m.rec.sources.includes(id) && isSameStation(m, hit));
+      if (target) {
+        absorbHit(target, hit, id);
+        continue;
+      }
+      hit.rec.sources = [id];
+      merged.push(hit);
+    }
+  }
+
+  return merged.map((m) => m.rec);
 }
 
 /* ================= SEARCH ================= */
 
-function buildRecordFromLocStation(loc, st) {
-  const distance = haversine(qthLat, qthLon, Number(loc.lat), Number(loc.lon));
-  const az = bearing(qthLat, qthLon, Number(loc.lat), Number(loc.lon));
-  return {
-    freq: normalizeFreq(st.freq),
+// высота антенны над средним рельефом, если база её знает
+function heightOf(st, loc) {
+  for (const v of [st?.haat, st?.height, st?.agl, loc?.haat, loc?.height]) {
+    const n = Number(v);
+    if (v !== null && v !== undefined && v !== '' && Number.isFinite(n) && n > 0) return n;
+  }
+  return null;
+}
+
+function buildRecordFromLocStation(entry, sourceId) {
+  const { loc, st } = entry;
+  const rec = {
+    freq: entry.freq,
     station: (st.station || 'Unknown').replace('R.', 'Radio '),
     location: loc.name || '',
     itu: String(loc.itu || '').toUpperCase(),
-    distance: Math.round(Number(distance)),
-    azimuth: Math.round(az),
+    distance: Math.round(entry.distance),
+    azimuth: Math.round(entry.azimuth),
     pi: st.pi || '',
     pol: st.pol || '',
     erp: st.erp ?? null,
+    height: heightOf(st, loc),
     idStation: st.idStation ?? null,
     id: st.id || null,
   };
+  if (Array.isArray(st.schedule) && st.schedule.length) rec.schedule = st.schedule;
+  rec.key = candidateKey(rec, sourceId);
+  return rec;
 }
 
-async function searchInMaps(freq, pi) {
-  const f = normalizeFreq(freq);
-  const p = normalizePi(pi);
-  if (f === null && !p) return [];
+/**
+ * Кандидаты из одного индекса: [{ rec, loc }], loc — место передатчика
+ * (нужно, чтобы узнать ту же станцию в другой базе).
+ */
+function searchInIndex(index, f, p, maxD, mask, sourceId) {
+  // [entries, смещение от канала в кГц]
+  const buckets = f !== null
+    ? freqKeysAround(f).map(({ key, offsetKHz }) => [index.byFreq.get(key) || [], offsetKHz])
+    : [[index.byPi.get(p) || [], 0]];
 
-  const maxD = Number(pluginConfig.maxDistanceKm || 500);
   const result = [];
+  for (const [entries, offsetKHz] of buckets) {
+    for (const e of entries) {
+      if (e.distance > maxD) continue;
+      if (p && e.pi !== p) continue;
+      // частичный PI: отбрасываем только противоречащие станции
+      if (mask && e.pi && !piMatchesMask(mask, e.pi)) continue;
+
+      // место из офлайн-набора помнит исходную базу
+      const rec = buildRecordFromLocStation(e, e.loc.source || sourceId);
+      if (offsetKHz) rec.freqOffsetKHz = offsetKHz;
+      if (mask) rec.piMatch = e.pi ? 'partial' : 'unknown';
+      result.push({ rec, loc: e.loc });
+    }
+  }
+  return result;
+}
 
-  for (const loc of locationsCache) {
-    const d = haversine(qthLat, qthLon, Number(loc.lat), Number(loc.lon));
-    if (d > maxD) continue;
+/**
+ * Кандидаты по источникам в порядке priority: [{ id, hits }].
+ * Место с полем source (офлайн-набор) относится к исходной базе.
+ */
+function searchSources(f, p, maxD, mask) {
+  const groups = new Map();
 
-    for (const st of loc.stations || []) {
-      if (st.inactive) continue;
-      if (f !== null && normalizeFreq(st.freq) !== f) continue;
-      if (p && normalizePi(st.pi) !== p) continue;
-      result.push(buildRecordFromLocStation(loc, st));
+  for (const src of activeSources('stations')) {
+    for (const id of src.origins || [src.id]) {
+      if (!groups.has(id)) groups.set(id, []);
+    }
+    for (const hit of searchInIndex(src.index, f, p, maxD, mask, src.id)) {
+      const id = hit.loc.source || src.id;
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(hit);
     }
   }
 
-  result.sort((a, b) => Number(a.distance) - Number(b.distance));
-  for (const r of result) r.logoUrl = await findLogoUrl(r);
+  return [...groups].map(([id, hits]) => ({ id, hits }));
+}
 
-  if (result.length) {
-    return result;
-  } else {
-    const f = normalizeFreq(freq);
-    const p = normalizePi(pi);
-    if (f === null && !p) return [];
+async function searchInMaps(freq, pi, ctx) {
+  const f = normalizeFreq(freq);
+  const { full: p, mask } = parsePi(pi);
+  if (f === null && !p) return [];
 
-    const maxD = Number(pluginConfig.maxDistanceKm || 500);
-    const result = [];
+  const maxD = Number(pluginConfig.maxDistanceKm || 500);
+  // известный PI ищем по всей базе — тропо / Es дальше maxDistanceKm
+  const searchD = p ? Infinity : maxD;
 
-    for (const loc of locationsCacheFMLIST) {
-      const d = haversine(qthLat, qthLon, Number(loc.lat), Number(loc.lon));
-      if (d > maxD) continue;
+  // все источники в одном списке, дубли склеены
+  let result = mergeSourceHits(searchSources(f, p, searchD, mask));
 
-      for (const st of loc.stations || []) {
-        if (st.inactive) continue;
-        if (f !== null && normalizeFreq(st.freq) !== f) continue;
-        if (p && normalizePi(st.pi || 'noPI') !== p) continue;
-        result.push(buildRecordFromLocStation(loc, st));
-      }
+  if (p) {
+    const countries = countriesForPi(p, ctx.ecc);
+    for (const r of result) {
+      if (r.distance > maxD) r.dx = true;
+      if (countries && r.itu && !countries.has(r.itu)) r.countryMismatch = true;
     }
-    result.sort((a, b) => Number(a.distance) - Number(b.distance));
-    for (const r of result) r.logoUrl = await findLogoUrl(r);
+  }
+
+  result = rankCandidates(result, ctx);
+  for (const r of result) r.logoUrl = await resolveLogoUrl(r);
 
-    return result
+  return result;
+}
+
+/**
+ * Расстояние и азимут своей станции: по lat/lon от текущего QTH,
+ * иначе — заданные вручную distance / azimuth.
+ */
+function customStationGeo(s) {
+  const lat = Number(s.lat);
+  const lon = Number(s.lon);
+  const hasCoords =
+    s.lat !== undefined && s.lon !== undefined &&
+    Number.isFinite(lat) && Number.isFinite(lon);
+
+  if (hasCoords && qthLat && qthLon) {
+    return {
+      distance: Number(haversine(qthLat, qthLon, lat, lon).toFixed(1)),
+      azimuth: Math.round(bearing(qthLat, qthLon, lat, lon)),
+    };
   }
+
+  return {
+    distance: Number((Number(s.distance) || 0).toFixed(1)),
+    azimuth: Math.round(Number(s.azimuth) || 0),
+  };
 }
 
-async function searchInMyStations(freq, pi, ant) {
+async function searchInMyStations(freq, pi, ant, ctx) {
   const f = normalizeFreq(freq);
-  const p = normalizePi(pi);
+  const { full: p, mask } = parsePi(pi);
   if (f === null && !p) return [];
 
-  const list = Array.isArray(pluginConfig.myStantions)
-    ? pluginConfig.myStantions
+  const list = Array.isArray(pluginConfig.myStations)
+    ? pluginConfig.myStations
     : [];
 
-  const filtered = list
+  let filtered = list
     .filter((s) => {
-      if (f !== null && normalizeFreq(s.freq) !== f) return false;
+      if (f !== null && freqOffsetKHz(s.freq, f) === null) return false;
       if ('antenna' in s) {
         const sAnt = Number(s.antenna ?? s.ant ?? 0);
         if (Number(ant) !== sAnt) return false;
       }
+      if (mask && s.pi && !piMatchesMask(mask, s.pi)) return false;
 
       return true;
     })
     .map((s) => ({
-      freq: normalizeFreq(s.freq),
+      freq: freqKey(s.freq),
+      ...(f !== null && freqOffsetKHz(s.freq, f) ? { freqOffsetKHz: freqOffsetKHz(s.freq, f) } : {}),
       station: s.station || 'Unknown',
       location: s.location || '',
       itu: String(s.itu || '').toUpperCase(),
-      distance: Number((Number(s.distance) || 0).toFixed(1)),
-      azimuth: Math.round(Number(s.azimuth) || 0),
-      pi: s.pi || pi || '',
+      ...customStationGeo(s),
+      pi: s.pi || p || '',
       pol: s.pol || '',
       erp: s.erp ?? null,
+      height: heightOf(s),
       logoUrl: s.logoUrl || null,
-      isCustom: true
+      ...(Array.isArray(s.schedule) && s.schedule.length ? { schedule: s.schedule } : {}),
+      ...(s.timezone ? { timezone: s.timezone } : {}),
+      isCustom: true,
+      ...(mask ? { piMatch: s.pi ? 'partial' : 'unknown' } : {}),
     }));
 
-  filtered.sort((a, b) => Number(a.distance) - Number(b.distance));
+  for (const r of filtered) r.key = candidateKey(r);
+
+  filtered = rankCandidates(filtered, ctx);
 
   for (const r of filtered) {
-    if (!r.logoUrl) r.logoUrl = await findLogoUrl(r);
+    r.logoUrl = r.logoUrl ? mirrorLogoUrl(r.logoUrl) : await resolveLogoUrl(r);
   }
 
   return filtered;
@@ -553,17 +1932,82 @@ async function searchInMyStations(freq, pi, ant) {
 
 
 
-async function searchStations(freq, pi, ant) {
-  pluginConfig = readJsonSafe(cfgFile, defaultConfig);
+async function searchByMode(freq, pi, ant, ctx) {
   const mode = Number(pluginConfig.mode || 1);
 
-  if (mode === 2) return await searchInMyStations(freq, pi, ant);
+  if (mode === 2) return await searchInMyStations(freq, pi, ant, ctx);
   if (mode === 3) {
-    const first = await searchInMyStations(freq, pi, ant);
+    const first = await searchInMyStations(freq, pi, ant, ctx);
     if (first.length) return first;
-    return await searchInMaps(freq, pi);
+    return await searchInMaps(freq, pi, ctx);
   }
-  return await searchInMaps(freq, pi);
+  return await searchInMaps(freq, pi, ctx);
+}
+
+/**
+ * meta.timeSensitive — среди кандидатов были станции с расписанием
+ * (даже если при scheduleMode: 'hide' они не попали в результат).
+ */
+async function searchStations(freq, pi, ant, signal, ecc, meta = {}) {
+  const ctx = { signal, freq: normalizeFreq(freq), ant, ecc: normalizeEcc(ecc) };
+  const list = await searchByMode(freq, pi, ant, ctx);
+  meta.timeSensitive = !!ctx.timeSensitive;
+  return list;
+}
+
+/* ================= RESULT CACHE ================= */
+
+const RESULT_CACHE_MAX = 200;
+const RESULT_CACHE_TTL_MS = 10 * 60 * 1000;
+const resultCache = new Map(); // key -> { ts, minute, meta, promise }
+
+const clockMinute = () => Math.floor(clock.now() / 60000);
+
+function resultCacheKey(freq, pi, ant, signal, ecc) {
+  return [
+    normalizeFreq(freq),
+    parsePi(pi).full || parsePi(pi).mask || '',
+    ant ?? '',
+    Number.isFinite(signal) ? Math.round(signal) : '',
+    normalizeEcc(ecc) || '',
+    configVersion,
+    datasetVersion,
+    userStateVersion,
+    logoVersion,
+  ].join('|');
+}
+
+/**
+ * searchStations с мемоизацией по частоте / PI / антенне / уровню
+ * и версиям конфига и баз. Параллельные запросы делят один промис.
+ * Результат со станциями по расписанию живёт не дольше текущей минуты.
+ */
+function searchStationsCached(freq, pi, ant, signal, ecc) {
+  const key = resultCacheKey(freq, pi, ant, signal, ecc);
+  const now = clock.now();
+  const minute = clockMinute();
+  const hit = resultCache.get(key);
+  if (
+    hit &&
+    now - hit.ts < RESULT_CACHE_TTL_MS &&
+    !(hit.meta.timeSensitive && hit.minute !== minute)
+  ) {
+    return hit.promise;
+  }
+
+  const meta = {};
+  const promise = searchStations(freq, pi, ant, signal, ecc, meta);
+  promise.catch(() => resultCache.delete(key));
+
+  resultCache.delete(key);
+  resultCache.set(key, { ts: now, minute, meta, promise });
+
+  // Map хранит порядок вставки — удаляем самые старые
+  while (resultCache.size > RESULT_CACHE_MAX) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+
+  return promise;
 }
 
 /* ================= WS ENDPOINTS ================= */
@@ -575,7 +2019,14 @@ const WS_BASE = `ws://127.0.0.1:${PORT}`;
 let wsPlugins = null; // /data_plugins
 let wsText = null; // /text
 
+// при воспроизведении сообщения уходят не в WS, а в файл результатов
+let replayOutput = null;
+
 function wsSendPlugins(obj) {
+  if (replayOutput) {
+    replayOutput(obj);
+    return;
+  }
   try {
     if (wsPlugins && wsPlugins.readyState === WebSocket.OPEN) {
       wsPlugins.send(JSON.stringify(obj));
@@ -591,8 +2042,9 @@ function resetMonitorState() {
   monitorState.pendingFrequency = null;
   monitorState.pendingPi = null;
   monitorState.pendingAnt = null;
+  monitorState.ecc = null;
 
-  if (monitorState.stableTimer) clearTimeout(monitorState.stableTimer);
+  if (monitorState.stableTimer) clock.clearTimeout(monitorState.stableTimer);
   monitorState.stableTimer = null;
 
   stopFindBroadcast();
@@ -614,7 +2066,7 @@ function resetAllOnFrequencyChange() {
       loc: {qthLat, qthLon},
       freq: null,
       pi: null,
-      ts: Date.now(),
+      ts: clock.now(),
       list: [],
     },
   });
@@ -632,15 +2084,22 @@ const monitorState = {
   activeFrequency: null,
   activePi: null,
   ant: null,
+  signal: null,
+  ecc: null,
 
   broadcastTimer: null,
   lastBroadcastAt: 0,
+  lastListHash: null,
+  logged: false,
 
   gen: 0, // 👈 добавили
 };
 
 
 
+const FIND_INTERVAL_MS = 3000;
+const FIND_KEEPALIVE_MS = 15000;
+
 function stopFindBroadcast() {
   monitorState.gen++; // 👈 инвалидируем все “в полёте” запросы
 
@@ -648,9 +2107,10 @@ function stopFindBroadcast() {
   monitorState.activeFrequency = null;
   monitorState.activePi = null;
 
-  if (monitorState.broadcastTimer) clearInterval(monitorState.broadcastTimer);
+  if (monitorState.broadcastTimer) clock.clearInterval(monitorState.broadcastTimer);
   monitorState.broadcastTimer = null;
   monitorState.lastBroadcastAt = 0;
+  monitorState.lastListHash = null;
 }
 
 
@@ -660,16 +2120,34 @@ async function broadcastFindOnce() {
   const freq = monitorState.activeFrequency;
   const pi = monitorState.activePi;
   const ant = monitorState.ant;
+  const signal = monitorState.signal;
+  const ecc = monitorState.ecc;
 
   const myGen = monitorState.gen; // 👈 снимок поколения
 
   try {
-    const list = await searchStations(freq, pi, ant);
+    const list = await searchStationsCached(freq, pi, ant, signal, ecc);
 
     // 👇 если пока ждали — антенна/частота сменилась и gen вырос, не шлём старьё
     if (!monitorState.active) return;
     if (myGen !== monitorState.gen) return;
 
+    // шлём только изменения + keep-alive для подключившихся позже
+    const hash = JSON.stringify([pi, list]);
+    if (
+      hash === monitorState.lastListHash &&
+      clock.now() - monitorState.lastBroadcastAt < FIND_KEEPALIVE_MS
+    ) {
+      return;
+    }
+    monitorState.lastListHash = hash;
+
+    // одна запись в журнал на каждую фиксацию частоты
+    if (!monitorState.logged && list.length) {
+      monitorState.logged = true;
+      appendReceptionLog({ freq, pi, ant, signal, list });
+    }
+
     wsSendPlugins({
       type: pluginName,
       value: {
@@ -677,32 +2155,37 @@ async function broadcastFindOnce() {
         loc: {qthLat, qthLon},
         freq,
         pi: pi || null,
-        ts: Date.now(),
+        ecc: ecc || null,
+        ant,
+        signal: Number.isFinite(signal) ? Math.round(signal) : null,
+        ts: clock.now(),
         list,
       },
     });
 
-    monitorState.lastBroadcastAt = Date.now();
+    monitorState.lastBroadcastAt = clock.now();
   } catch (e) {
     logError('[StationsWithoutRDS] broadcastFindOnce failed', e);
   }
 }
 
 
-function startFindBroadcast(freq, pi, ant) {
+function startFindBroadcast(freq, pi, ant, signal) {
   monitorState.active = true;
   monitorState.activeFrequency = freq;
   monitorState.activePi = pi || null;
   monitorState.ant = ant;
+  monitorState.signal = Number.isFinite(signal) ? signal : null;
+  monitorState.logged = false;
 
   // сразу отправляем
   broadcastFindOnce();
 
-  if (monitorState.broadcastTimer) clearInterval(monitorState.broadcastTimer);
+  if (monitorState.broadcastTimer) clock.clearInterval(monitorState.broadcastTimer);
 
-  monitorState.broadcastTimer = setInterval(() => {
+  monitorState.broadcastTimer = clock.setInterval(() => {
     broadcastFindOnce();
-  }, 3000);
+  }, FIND_INTERVAL_MS);
 }
 
 function getThresholdForFrequency(freq, pluginConfig) {
@@ -765,7 +2248,7 @@ function sendRequest({ pluginName, frequency, pi, data }) {
       freq: frequency,
       loc: {qthLat, qthLon},
       pi: pi || null,
-      ts: Date.now(),
+      ts: clock.now(),
       isServer: true,
       list: [
         {
@@ -803,7 +2286,7 @@ function resetTxAccum() {
   txAccum.state = false;
 }
 function accumulateTx(rawHasTx) {
-  const now = Date.now();
+  const now = clock.now();
 
   // старт окна
   if (!txAccum.startTs) {
@@ -850,9 +2333,10 @@ function accumulateTx(rawHasTx) {
 
 function onTextMessage(data) {
   const frequency = data?.freq;
-  let pi = String(data?.pi || '').includes('?') || data?.ps === ''
-    ? null
-    : data?.pi;
+  // частично декодированный PI ("D3?1") оставляем маской
+  let pi = String(data?.pi || '').includes('?')
+    ? normalizePiMask(data?.pi)
+    : data?.ps === '' ? null : data?.pi;
 
     const rawHasTx = Boolean(data?.txInfo?.tx);
     const hasTx = accumulateTx(rawHasTx);
@@ -869,14 +2353,12 @@ function onTextMessage(data) {
     return;
   }
 
-  pluginConfig = readJsonSafe(cfgFile, defaultConfig);
-
   const signalDbuv = (data?.sig ?? 0) - 11.25;
   const ant = Number(data?.ant ?? 0);
 
   const threshold = getThresholdForFrequency(frequency, pluginConfig);
   const stableTimeMs = Number(pluginConfig.stableTime || 3) * 1000;
-  const now = Date.now();
+  const now = clock.now();
 
   // ====== FREQUENCY CHANGE ======
   if (frequency !== lastFrequency) {
@@ -889,6 +2371,27 @@ function onTextMessage(data) {
     signalWindowStart = 0;
   }
 
+  // PI додекодировался (нет -> "D3??" -> "D3?1" -> "D311") — уточняем поиск без сброса фиксации
+  if (
+    signalFixed &&
+    pi &&
+    pi !== monitorState.pendingPi &&
+    piCompatible(pi, monitorState.pendingPi || '????')
+  ) {
+    if (piKnownDigits(pi) > piKnownDigits(monitorState.pendingPi)) {
+      monitorState.pendingPi = pi;
+      if (monitorState.active) {
+        monitorState.activePi = pi;
+        broadcastFindOnce();
+      }
+    }
+    pi = monitorState.pendingPi;
+  }
+
+  // ECC только уточняет страну — обновляем без сброса
+  const ecc = normalizeEcc(data?.ecc);
+  if (ecc) monitorState.ecc = ecc;
+
   const freqChanged = frequency !== monitorState.pendingFrequency;
   const piChanged   = pi !== monitorState.pendingPi;
   const antChanged  = ant !== monitorState.pendingAnt;
@@ -903,7 +2406,7 @@ function onTextMessage(data) {
     signalWindowStart = 0;
 
     if (monitorState.stableTimer) {
-      clearTimeout(monitorState.stableTimer);
+      clock.clearTimeout(monitorState.stableTimer);
       monitorState.stableTimer = null;
     }
 
@@ -916,7 +2419,7 @@ function onTextMessage(data) {
         loc: {qthLat, qthLon},
         freq: frequency ?? null,
         pi: null,
-        ts: Date.now(),
+        ts: clock.now(),
         list: [],
       },
     });
@@ -964,7 +2467,7 @@ function onTextMessage(data) {
     monitorState.pendingAnt = ant;
 
     stopFindBroadcast();
-    startFindBroadcast(frequency, pi, ant);
+    startFindBroadcast(frequency, pi, ant, avgSignal);
     return;
   }
 
@@ -981,6 +2484,435 @@ function onTextMessage(data) {
 
 
 
+/* ================= RECEPTION LOG ================= */
+
+const receptionLogFile = path.join(cfgDir, 'StationsWithoutRDS_log.jsonl');
+// при переполнении журнал переезжает сюда, прежняя копия удаляется
+const receptionLogPrevFile = `${receptionLogFile}.1`;
+const DEFAULT_RECEPTION_LOG_MAX_MB = 10;
+
+function receptionLogMaxBytes() {
+  const maxMb = Number(pluginConfig.receptionLog?.maxSizeMb);
+  return (Number.isFinite(maxMb) && maxMb > 0 ? maxMb : DEFAULT_RECEPTION_LOG_MAX_MB) * 1024 * 1024;
+}
+
+function rotateReceptionLog(incomingBytes) {
+  let size;
+  try {
+    size = fs.statSync(receptionLogFile).size;
+  } catch {
+    return;
+  }
+  if (size + incomingBytes <= receptionLogMaxBytes()) return;
+
+  fs.renameSync(receptionLogFile, receptionLogPrevFile);
+  logInfo(`[StationsWithoutRDS] reception log rotated to ${path.basename(receptionLogPrevFile)}`);
+}
+
+function compactCandidate(c) {
+  return {
+    station: c.station,
+    location: c.location,
+    itu: c.itu,
+    pi: c.pi || '',
+    erp: c.erp ?? null,
+    pol: c.pol || '',
+    distance: c.distance,
+    azimuth: c.azimuth,
+    confidence: c.confidence ?? null,
+    id: c.id ?? null,
+    idStation: c.idStation ?? null,
+  };
+}
+
+function appendReceptionLog({ freq, pi, ant, signal, list }) {
+  if (REPLAY || !list?.length) return;
+
+  const [chosen, ...alternatives] = list;
+  const entry = {
+    ts: Date.now(),
+    freq: normalizeFreq(freq),
+    pi: pi || null,
+    ant: ant ?? 0,
+    signal: Number.isFinite(signal) ? Number(signal.toFixed(1)) : null,
+    chosen: compactCandidate(chosen),
+    alternatives: alternatives.map(compactCandidate),
+  };
+
+  try {
+    const line = `${JSON.stringify(entry)}\n`;
+    rotateReceptionLog(Buffer.byteLength(line));
+    fs.appendFileSync(receptionLogFile, line, 'utf8');
+  } catch (e) {
+    logError('[StationsWithoutRDS] reception log write failed', e);
+  }
+}
+
+// журнал вместе с предыдущей копией, построчно — файл не читается целиком
+async function readReceptionLog({ from, to } = {}) {
+  const out = [];
+
+  for (const file of [receptionLogPrevFile, receptionLogFile]) {
+    if (!fs.existsSync(file)) continue;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file, 'utf8'),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const e = JSON.parse(line);
+        if (from && e.ts < from) continue;
+        if (to && e.ts > to) continue;
+        out.push(e);
+      } catch {
+        // битая строка (например, оборванная запись) — пропускаем
+      }
+    }
+  }
+  return out;
+}
+
+function csvCell(v, sep) {
+  const str = String(v ?? '');
+  return str.includes(sep) || str.includes('"') || /[\r\n]/.test(str)
+    ? `"${str.replace(/"/g, '""')}"`
+    : str;
+}
+
+function toCsv(rows, sep) {
+  return rows.map((r) => r.map((v) => csvCell(v, sep)).join(sep)).join('\r\n') + '\r\n';
+}
+
+function splitUtc(ts) {
+  const iso = new Date(ts).toISOString();
+  return [iso.slice(0, 10), iso.slice(11, 19)];
+}
+
+function exportLogCsv(entries) {
+  const rows = [[
+    'date_utc', 'time_utc', 'freq', 'pi', 'ant', 'signal_dbuv',
+    'station', 'location', 'itu', 'distance_km', 'azimuth', 'erp_kw', 'pol',
+    'confidence', 'alternatives',
+  ]];
+
+  for (const e of entries) {
+    const c = e.chosen || {};
+    rows.push([
+      ...splitUtc(e.ts), e.freq, e.pi || '', e.ant, e.signal ?? '',
+      c.station, c.location, c.itu, c.distance, c.azimuth, c.erp ?? '', c.pol,
+      c.confidence ?? '',
+      (e.alternatives || []).map((a) => `${a.station} (${a.location}, ${a.itu})`).join('; '),
+    ]);
+  }
+
+  return toCsv(rows, ',');
+}
+
+// Формат импорта логов FMLIST: ; как разделитель, время UTC, частота в МГц
+const FMLIST_LOG_COLUMNS = [
+  'Date', 'Time', 'Frequency', 'Program', 'ITU', 'Location',
+  'PI', 'Distance', 'Azimuth', 'ERP', 'Polarization', 'Signal', 'Remarks',
+];
+
+function exportLogFmlist(entries) {
+  const rows = [FMLIST_LOG_COLUMNS];
+
+  for (const e of entries) {
+    const c = e.chosen || {};
+    const [date, time] = splitUtc(e.ts);
+    rows.push([
+      date, time, Number(e.freq).toFixed(2), c.station, c.itu, c.location,
+      e.pi || c.pi || '', c.distance, c.azimuth, c.erp ?? '', c.pol,
+      e.signal ?? '',
+      `StationsWithoutRDS, ant ${e.ant}${c.confidence != null ? `, ${Math.round(c.confidence * 100)}%` : ''}`,
+    ]);
+  }
+
+  return toCsv(rows, ';');
+}
+
+const logExporters = {
+  csv: { fn: exportLogCsv, ext: 'csv', mime: 'text/csv' },
+  fmlist: { fn: exportLogFmlist, ext: 'txt', mime: 'text/plain' },
+};
+
+/* ================= CLIENT REQUESTS ================= */
+
+// обработчики возвращают полезную нагрузку ответа, а доставляет её транспорт:
+// HTTP (только спросившему) или /data_plugins (всем, адресуется по id)
+function makeReply(req, payload) {
+  return {
+    action: `${req.action}Result`,
+    id: req.id,
+    ts: Date.now(),
+    ...payload,
+  };
+}
+
+async function handleQuery(req) {
+  const freq = normalizeFreq(req.freq);
+  const { full, mask } = parsePi(req.pi);
+  const pi = full || mask;
+  const ant = Number.isFinite(Number(req.ant)) && req.ant !== null
+    ? Number(req.ant)
+    : monitorState.pendingAnt ?? 0;
+
+  const list = freq === null && !pi
+    ? []
+    : await searchStationsCached(freq, pi, ant, null, req.ecc);
+
+  return {
+    loc: {qthLat, qthLon},
+    freq,
+    pi: pi || null,
+    ecc: normalizeEcc(req.ecc),
+    ant,
+    list,
+  };
+}
+
+async function handleExportLog(req) {
+  const exporter = logExporters[req.format] || logExporters.csv;
+  const entries = await readReceptionLog({
+    from: Number(req.from) || 0,
+    to: Number(req.to) || 0,
+  });
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return {
+    format: req.format in logExporters ? req.format : 'csv',
+    filename: `StationsWithoutRDS_log_${stamp}.${exporter.ext}`,
+    mime: exporter.mime,
+    count: entries.length,
+    content: exporter.fn(entries),
+  };
+}
+
+// пересылаем список, если изменённая частота сейчас в эфире
+function rebroadcastIfActive(freq) {
+  if (monitorState.active && normalizeFreq(monitorState.activeFrequency) === normalizeFreq(freq)) {
+    broadcastFindOnce();
+  }
+}
+
+// кандидат ищется с теми же PI и ECC, что дали список: найденные по PI
+// дальние станции (дальше maxDistanceKm) без них в выдачу не попадают
+async function findListedCandidate(req, freq, ant) {
+  const { full, mask } = parsePi(req.pi);
+  const pi = full || mask;
+
+  const list = await searchStationsCached(freq, pi, ant, null, req.ecc);
+  let candidate = list.find((r) => r.key === req.key);
+  if (!candidate && pi) {
+    candidate = (await searchStationsCached(freq, null, ant, null)).find((r) => r.key === req.key);
+  }
+  if (!candidate) throw new Error('candidate not found');
+  return candidate;
+}
+
+async function handleConfirm(req) {
+  const freq = normalizeFreq(req.freq);
+  if (freq === null) throw new Error('invalid frequency');
+  const ant = Number(req.ant) || 0;
+
+  if (!req.key) {
+    setConfirmed(freq, ant, null);
+  } else {
+    // кандидат должен реально существовать на этой частоте
+    setConfirmed(freq, ant, await findListedCandidate(req, freq, ant));
+  }
+
+  // сразу показываем новый порядок, если частота сейчас в эфире
+  rebroadcastIfActive(freq);
+  return { freq, ant, confirmed: getConfirmed(freq, ant) };
+}
+
+async function handleHide(req) {
+  const freq = normalizeFreq(req.freq);
+  if (freq === null) throw new Error('invalid frequency');
+  if (!req.key) throw new Error('missing key');
+  const ant = Number(req.ant) || 0;
+
+  const candidate = await findListedCandidate(req, freq, ant);
+
+  // antennaOnly — только для текущей антенны, иначе на всех
+  hideCandidate(candidate, req.antennaOnly ? ant : null);
+
+  // скрытая станция не может оставаться подтверждённой
+  if (getConfirmed(freq, ant)?.key === candidate.key) setConfirmed(freq, ant, null);
+
+  rebroadcastIfActive(freq);
+  return { freq, ant, key: candidate.key, hidden: hiddenCandidates };
+}
+
+async function handleUnhide(req) {
+  if (!req.key) throw new Error('missing key');
+  const freq = req.freq === undefined || req.freq === null ? undefined : req.freq;
+  const ant = req.ant === undefined ? undefined : (req.ant === null ? null : Number(req.ant) || 0);
+
+  const removed = unhideCandidate(req.key, freq, ant);
+  if (freq !== undefined) rebroadcastIfActive(freq);
+  return { key: req.key, removed, hidden: hiddenCandidates };
+}
+
+async function handleListHidden(req) {
+  return { hidden: hiddenCandidates };
+}
+
+async function handleConfigStatus(req) {
+  return { status: configService.status };
+}
+
+// старый формат конфига переписывается в файл только по кнопке на /setup
+async function handleMigrateConfig() {
+  const result = configService.saveMigrated();
+  return { ...result, status: configService.status };
+}
+
+// почему у станции такой логотип: лучшие файлы с оценками
+async function handleLogoDebug(req) {
+  const c = req.candidate && typeof req.candidate === 'object' ? req.candidate : {};
+  const st = {
+    station: String(c.station || ''),
+    itu: String(c.itu || ''),
+    pi: String(c.pi || ''),
+    isCustom: !!c.isCustom,
+    ...(c.idStation !== null && c.idStation !== undefined ? { idStation: c.idStation } : {}),
+  };
+
+  const { url, via, matches } = await matchLogo(st, { debug: true });
+  return {
+    station: st.station,
+    url: mirrorLogoUrl(url),
+    via,
+    threshold: LOGO_MIN_SCORE,
+    matches,
+  };
+}
+
+// страница настроек слушает изменения статуса без запроса
+function broadcastConfigStatus(status) {
+  wsSendPlugins({
+    type: pluginName,
+    value: { action: 'configStatus', ts: Date.now(), status },
+  });
+}
+
+const clientActions = {
+  query: handleQuery,
+  exportLog: handleExportLog,
+  confirm: handleConfirm,
+  hide: handleHide,
+  unhide: handleUnhide,
+  listHidden: handleListHidden,
+  configStatus: handleConfigStatus,
+  migrateConfig: handleMigrateConfig,
+  logoDebug: handleLogoDebug,
+};
+
+// журнал приёма (и всё, что меняет данные плагина) — только администратору
+// веб-сервера; по /data_plugins сессии нет, там эти действия не выполняются
+const adminActions = new Set(['exportLog', 'confirm', 'hide', 'unhide', 'migrateConfig']);
+
+// ответ на запрос или null, если такого действия нет
+async function runClientRequest(req, { admin = false } = {}) {
+  const handler = clientActions[req?.action];
+  if (!handler) return null;
+  if (adminActions.has(req.action) && !admin) {
+    return makeReply(req, { error: 'admin login required' });
+  }
+
+  try {
+    return makeReply(req, await handler(req));
+  } catch (e) {
+    logError(`[StationsWithoutRDS] ${req.action} request failed`, e);
+    return makeReply(req, { error: String(e?.message || e) });
+  }
+}
+
+async function onClientMessage(req) {
+  if (!req?.id) return; // без id ответ некому адресовать
+
+  const reply = await runClientRequest(req);
+  if (reply) wsSendPlugins({ type: pluginName, value: reply });
+}
+
+/* ================= HTTP REQUESTS ================= */
+
+// тот же протокол, что и по /data_plugins, но ответ уходит только спросившему
+const HTTP_REQUEST_PATH = `/${pluginName}/request`;
+const HTTP_BODY_LIMIT = 64 * 1024;
+
+// тело уже может быть разобрано express.json() веб-сервера
+function readJsonBody(req) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > HTTP_BODY_LIMIT) {
+        reject(new Error('request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(new Error('invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function registerHttpRoutes() {
+  let router;
+  try {
+    router = require('../../server/endpoints');
+  } catch (e) {
+    logError('[StationsWithoutRDS] server/endpoints is not available, requests go over /data_plugins only', e);
+    return;
+  }
+  if (typeof router?.post !== 'function') {
+    logError('[StationsWithoutRDS] server/endpoints is not a router, requests go over /data_plugins only');
+    return;
+  }
+
+  router.post(HTTP_REQUEST_PATH, async (req, res) => {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+      return;
+    }
+
+    const admin = req.session?.isAdminAuthenticated === true;
+    if (adminActions.has(body?.action) && !admin) {
+      res.status(403).json(makeReply(body, { error: 'admin login required' }));
+      return;
+    }
+
+    const reply = await runClientRequest(body, { admin });
+    if (!reply) {
+      res.status(400).json({ error: 'unknown action' });
+      return;
+    }
+    res.json(reply);
+  });
+
+  logInfo(`[StationsWithoutRDS] requests are served at POST ${HTTP_REQUEST_PATH}`);
+}
+
 /* ================= CONNECT: /data_plugins ================= */
 
 function connectPluginsWS() {
@@ -997,8 +2929,7 @@ function connectPluginsWS() {
       const msg = JSON.parse(event.data);
       if (msg.type !== pluginName) return;
 
-      // В этой версии сервер ничего не принимает от клиента (только пушит find).
-      // Оставлено намеренно пустым.
+      onClientMessage(msg.value);
     } catch (e) {
       logError('[StationsWithoutRDS] invalid plugins message', e);
     }
@@ -1028,6 +2959,7 @@ function connectTextWS() {
   wsText.onmessage = (event) => {
     try {
       const data = JSON.parse(event.data);
+      recordFrame(data);
       onTextMessage(data);
     } catch (e) {
       // ignore invalid /text frames
@@ -1044,26 +2976,375 @@ function connectTextWS() {
   };
 }
 
-/* ================= LIVE CONFIG WATCH (простая) ================= */
+/* ================= QTH: СМЕНА НА ЛЕТУ / GPSD ================= */
+
+const GPSD_RECONNECT_MS = 10000;
+
+const gpsd = {
+  socket: null,
+  target: '',
+  reconnectTimer: null,
+  fix: null, // { lat, lon, at }
+  errorLogged: false,
+};
+
+/**
+ * Переносит QTH: пересчитывает индексы баз (через datasetVersion
+ * сбрасывается и кэш результатов) и при большом переезде
+ * перезапрашивает базы «вокруг QTH». Сдвиги меньше minMoveKm игнорируются.
+ */
+// refresh: false — источники обновит вызывающий (после смены конфига — один раз)
+function setQth(lat, lon, source, minMoveKm = 0, { refresh = true } = {}) {
+  if (!isValidQth(lat, lon)) return false;
+
+  if (qthLat && qthLon) {
+    if (lat === qthLat && lon === qthLon) return false;
+    if (haversine(qthLat, qthLon, lat, lon) < minMoveKm) return false;
+  }
+
+  qthLat = lat;
+  qthLon = lon;
+  rebuildDatasetIndexes();
+  recordEvent({ type: 'qth', lat, lon });
+  logInfo(`[StationsWithoutRDS] QTH set to ${lat.toFixed(4)}, ${lon.toFixed(4)} (${source})`);
+
+  if (refresh) refreshSources();
+  return true;
+}
+
+function stopGpsd() {
+  if (gpsd.reconnectTimer) clearTimeout(gpsd.reconnectTimer);
+  gpsd.reconnectTimer = null;
 
-let lastCfgMtime = 0;
-setInterval(() => {
+  const socket = gpsd.socket;
+  gpsd.socket = null;
+  gpsd.target = '';
+  gpsd.fix = null;
+  if (socket) socket.destroy();
+}
+
+function onGpsdMessage(line) {
+  let msg;
   try {
-    const st = fs.statSync(cfgFile);
-    const m = Number(st.mtimeMs || 0);
-    if (m && m !== lastCfgMtime) {
-      lastCfgMtime = m;
-      pluginConfig = readJsonSafe(cfgFile, defaultConfig);
-      // find/settings ничего дополнительно не шлём — сервер просто начнёт использовать новые значения.
+    msg = JSON.parse(line);
+  } catch {
+    return;
+  }
+
+  // TPV с mode >= 2 — есть 2D/3D фикс
+  if (msg?.class !== 'TPV' || Number(msg.mode) < 2) return;
+  const lat = Number(msg.lat);
+  const lon = Number(msg.lon);
+  if (!isValidQth(lat, lon)) return;
+
+  gpsd.fix = { lat, lon, at: Date.now() };
+  setQth(lat, lon, 'gpsd', qthSettings().minMoveKm);
+}
+
+function connectGpsd(host, port) {
+  const target = `${host}:${port}`;
+  if (gpsd.target === target && (gpsd.socket || gpsd.reconnectTimer)) return;
+
+  stopGpsd();
+  gpsd.target = target;
+
+  const socket = net.connect(port, host);
+  gpsd.socket = socket;
+  socket.setEncoding('utf8');
+
+  let buf = '';
+
+  socket.on('connect', () => {
+    gpsd.errorLogged = false;
+    logInfo(`[StationsWithoutRDS] gpsd connected (${target})`);
+    socket.write('?WATCH={"enable":true,"json":true};\n');
+  });
+
+  socket.on('data', (chunk) => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) onGpsdMessage(line);
     }
+    if (buf.length > 64 * 1024) buf = '';
+  });
+
+  socket.on('error', (err) => {
+    // пока gpsd недоступен, не засоряем лог каждые 10 секунд
+    if (gpsd.errorLogged) return;
+    gpsd.errorLogged = true;
+    logError(`[StationsWithoutRDS] gpsd error (${target})`, err);
+  });
+
+  socket.on('close', () => {
+    if (gpsd.socket !== socket) return; // остановлен через stopGpsd
+    gpsd.socket = null;
+    gpsd.reconnectTimer = setTimeout(() => {
+      gpsd.reconnectTimer = null;
+      gpsd.target = '';
+      if (qthSource === 'gpsd') connectGpsd(host, port);
+    }, GPSD_RECONNECT_MS);
+  });
+}
+
+/**
+ * Применяет qth из конфига плагина: источник можно переключать
+ * на лету, правкой StationsWithoutRDS.json.
+ */
+function applyQthConfig({ refresh = true } = {}) {
+  const s = qthSettings();
+  const prevSource = qthSource;
+  qthSource = s.source;
+
+  if (prevSource !== s.source) {
+    logInfo(`[StationsWithoutRDS] QTH source: ${s.source}`);
+  }
+
+  if (s.source === 'gpsd') {
+    connectGpsd(s.host, s.port);
+    // до первого фикса остаёмся на запасных координатах
+    if (!gpsd.fix) setQth(s.fallback.lat, s.fallback.lon, 'fallback', 0, { refresh });
+    return;
+  }
+
+  stopGpsd();
+  setQth(s.fallback.lat, s.fallback.lon, s.source, 0, { refresh });
+}
+
+/* ================= RECORDER ================= */
+
+// запись сырых кадров /text для воспроизведения (pluginStationsWithoutRDS_replay.js)
+const RECORDING_FORMAT_VERSION = 1;
+const DEFAULT_RECORDING_MAX_MB = 100;
+
+const recorder = {
+  stream: null,
+  file: null,
+  bytes: 0,
+  maxBytes: 0,
+};
+
+function recorderSettings() {
+  const r = pluginConfig.recorder;
+  if (!r || !r.enabled) return null;
+
+  const maxMb = Number(r.maxSizeMb);
+  return {
+    file: path.resolve(cfgDir, r.file || 'StationsWithoutRDS_recording.jsonl'),
+    maxBytes: (Number.isFinite(maxMb) && maxMb > 0 ? maxMb : DEFAULT_RECORDING_MAX_MB) * 1024 * 1024,
+  };
+}
+
+function writeRecord(obj) {
+  const line = `${JSON.stringify(obj)}\n`;
+  recorder.bytes += Buffer.byteLength(line);
+  recorder.stream.write(line);
+}
+
+function stopRecorder(reason) {
+  if (!recorder.stream) return;
+  recorder.stream.end();
+  logInfo(`[StationsWithoutRDS] recording stopped (${reason}): ${recorder.file}`);
+  recorder.stream = null;
+  recorder.file = null;
+}
+
+/**
+ * Включает / выключает запись по конфигу. Каждая сессия начинается
+ * с заголовка: QTH и конфиг, чтобы воспроизведение повторило условия.
+ */
+function applyRecorderConfig() {
+  if (REPLAY) return;
+
+  const settings = recorderSettings();
+  if (!settings) {
+    stopRecorder('disabled');
+    return;
+  }
+
+  if (recorder.stream && recorder.file === settings.file) {
+    recorder.maxBytes = settings.maxBytes;
+    recordEvent({ type: 'config', config: pluginConfig });
+    return;
+  }
+  stopRecorder('file changed');
+
+  try {
+    recorder.bytes = fs.existsSync(settings.file) ? fs.statSync(settings.file).size : 0;
   } catch {
-    // ignore
+    recorder.bytes = 0;
+  }
+  if (recorder.bytes >= settings.maxBytes) {
+    logError(`[StationsWithoutRDS] recording not started: ${settings.file} exceeds recorder.maxSizeMb`);
+    return;
+  }
+
+  const stream = fs.createWriteStream(settings.file, { flags: 'a' });
+  stream.on('error', (e) => {
+    logError('[StationsWithoutRDS] recording write failed', e);
+    if (recorder.stream === stream) recorder.stream = null;
+  });
+
+  recorder.stream = stream;
+  recorder.file = settings.file;
+  recorder.maxBytes = settings.maxBytes;
+
+  writeRecord({
+    type: 'header',
+    format: RECORDING_FORMAT_VERSION,
+    t: Date.now(),
+    qth: { lat: qthLat, lon: qthLon },
+    config: pluginConfig,
+  });
+  logInfo(`[StationsWithoutRDS] recording /text frames to ${settings.file}`);
+}
+
+// смена QTH / конфига посреди записи
+function recordEvent(event) {
+  if (!recorder.stream) return;
+  writeRecord({ t: Date.now(), ...event });
+}
+
+function recordFrame(frame) {
+  if (!recorder.stream) return;
+  if (recorder.bytes >= recorder.maxBytes) {
+    stopRecorder('size limit reached');
+    return;
+  }
+  writeRecord({ t: Date.now(), frame });
+}
+
+/* ================= LIVE CONFIG WATCH ================= */
+
+configService.on('change', (next) => {
+  pluginConfig = next;
+  configVersion++;
+  resultCache.clear();
+  logInfo('[StationsWithoutRDS] config reloaded');
+
+  // список источников и интервалы обновления могли измениться
+  configureSources();
+  // индексы под новый QTH строятся уже по новому списку, загрузка — одна
+  applyQthConfig({ refresh: false });
+  applyRecorderConfig();
+  refreshSources();
+  // список на текущей частоте пересчитываем сразу, а не на следующем тике
+  if (monitorState.active) broadcastFindOnce();
+});
+
+configService.on('status', broadcastConfigStatus);
+
+/* ================= OFFLINE BUNDLE ================= */
+
+/**
+ * Офлайн-набор из загруженных баз: места не дальше radiusKm от центра
+ * в том же формате, что locations у maps.fmdx, плюс source — исходная база.
+ * logos — только для попавших в набор станций.
+ */
+function buildOfflineBundle({ lat = qthLat, lon = qthLon, radiusKm, logos = true } = {}) {
+  if (!isValidQth(lat, lon)) throw new Error('QTH is not set, pass it explicitly');
+  const radius = Number(radiusKm ?? pluginConfig.maxDistanceKm ?? 500);
+
+  const locations = {};
+  const origins = [];
+  const idStations = new Set();
+
+  for (const src of activeSources('stations')) {
+    for (const id of src.origins || [src.id]) {
+      if (!origins.includes(id)) origins.push(id);
+    }
+
+    src.locations.forEach((loc, i) => {
+      const d = haversine(lat, lon, Number(loc.lat), Number(loc.lon));
+      if (!(d <= radius)) return;
+
+      const source = loc.source || src.id;
+      if (!origins.includes(source)) origins.push(source);
+      locations[`${src.id}/${i}`] = { ...loc, source };
+
+      for (const st of loc.stations || []) {
+        if (st.idStation != null) idStations.add(String(st.idStation));
+      }
+    });
+  }
+
+  const logoIndex = {};
+  if (logos) {
+    for (const src of activeSources('logos')) {
+      for (const id of idStations) {
+        if (!logoIndex[id] && src.logos?.[id]) logoIndex[id] = src.logos[id];
+      }
+    }
   }
-}, 2000);
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    qth: { lat, lon },
+    radiusKm: radius,
+    sources: origins,
+    locations,
+    logos: logoIndex,
+  };
+}
+
+/* ================= REPLAY API ================= */
+
+/**
+ * Управление конвейером при воспроизведении записи
+ * (используется pluginStationsWithoutRDS_replay.js).
+ */
+const replay = {
+  clock,
+  onTextMessage,
+  setQth: (lat, lon) => setQth(Number(lat), Number(lon), 'recording'),
+  // конфиг из заголовка записи
+  useConfig(raw) {
+    const { config: next, errors } = validateConfig(raw);
+    pluginConfig = next;
+    configVersion++;
+    resultCache.clear();
+    configureSources();
+    refreshSources();
+    return errors;
+  },
+  setOutput(fn) {
+    replayOutput = fn;
+  },
+  stop() {
+    stopFindBroadcast();
+  },
+};
 
 /* ================= START ================= */
 
-connectPluginsWS();
-connectTextWS();
+if (!REPLAY) {
+  registerHttpRoutes();
+  connectPluginsWS();
+  connectTextWS();
+  configService.watch();
+  applyRecorderConfig();
+  if (qthSource === 'gpsd') applyQthConfig();
+}
+
+// чистые функции — для тестов (test/*.test.js)
+const helpers = {
+  normalizePiMask,
+  piMatchesMask,
+  normalizeFreq,
+  freqKeysAround,
+  freqOffsetKHz,
+  isOnAir,
+  searchStationsCached,
+  isSameStation,
+  mergeSourceHits,
+  candidateKey,
+  parseLogoFile,
+  nameSimilarity,
+  rankLogoFiles,
+};
 
-module.exports = {};
+module.exports = { replay, buildOfflineBundle, helpers };
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { helpers, replay } = require('./helpers');
+const { normalizeFreq, freqKeysAround, freqOffsetKHz } = helpers;
+
+function withBandPlan(plan, extra = {}) {
+  const errors = replay.useConfig({ bandPlan: plan, ...extra });
+  assert.deepStrictEqual(errors, []);
+}
+
+test('normalizeFreq snaps to the default OIRT and CCIR grids', () => {
+  withBandPlan('default');
+  const cases = [
+    [99.4, 99.4],
+    ['99.43', 99.4],
+    [99.45, 99.5],
+    [99.46, 99.5],
+    // OIRT отсчитывается от 65.9
+    [65.9, 65.9],
+    [66.44, 66.44],
+    [66.45, 66.44],
+    [69.82, 69.83],
+    // 74.0 — начало CCIR, а не конец OIRT
+    [74.0, 74.0],
+    [73.99, 74.0],
+    [108.0, 108.0],
+    // вне диапазонов
+    [65.8, null],
+    [108.1, null],
+    ['abc', null],
+    [null, null],
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.strictEqual(normalizeFreq(input), expected, `normalizeFreq(${JSON.stringify(input)})`);
+  }
+});
+
+test('band plans change the grid', () => {
+  const cases = [
+    ['50khz', 99.45, 99.45],
+    ['50khz', 99.47, 99.45],
+    ['japan', 80.0, 80.0],
+    ['japan', 95.0, 95.0],
+    ['japan', 75.0, null],
+    ['10khz', 99.43, 99.43],
+  ];
+
+  for (const [plan, input, expected] of cases) {
+    withBandPlan(plan);
+    assert.strictEqual(normalizeFreq(input), expected, `${plan}: normalizeFreq(${input})`);
+  }
+});
+
+test('custom band plans from bandPlans are used by name', () => {
+  withBandPlan('my', {
+    bandPlans: { my: [{ name: 'CCIR', min: 87.5, max: 108.0, stepKHz: 50, toleranceKHz: 20 }] },
+  });
+  assert.strictEqual(normalizeFreq(87.52), 87.5);
+  assert.strictEqual(normalizeFreq(70.0), null);
+  // +20 кГц — уже за допуском
+  assert.strictEqual(freqOffsetKHz(87.52, 87.5), null);
+  assert.strictEqual(freqOffsetKHz(87.51, 87.5), 10);
+});
+
+test('tolerance is half-open: a station between two channels belongs to the upper one', () => {
+  withBandPlan('default');
+
+  // 99.45 при шаге 100 кГц: только канал 99.5
+  assert.strictEqual(freqOffsetKHz(99.45, 99.4), null);
+  assert.strictEqual(freqOffsetKHz(99.45, 99.5), -50);
+  assert.strictEqual(freqOffsetKHz(99.44, 99.4), 40);
+  assert.strictEqual(freqOffsetKHz(99.4, 99.4), 0);
+
+  const keys = (f) => freqKeysAround(f).map((k) => k.key);
+  assert.ok(!keys(99.4).includes(99.45));
+  assert.ok(keys(99.5).includes(99.45));
+  assert.deepStrictEqual(keys(99.4).slice(0, 3), [99.4, 99.39, 99.41]);
+
+  // OIRT, допуск 15 кГц: ±10 кГц
+  assert.deepStrictEqual(keys(66.44).sort(), [66.43, 66.44, 66.45]);
+});
+
+test('zero tolerance still matches the exact channel', () => {
+  withBandPlan('exact', {
+    bandPlans: { exact: [{ name: 'CCIR', min: 87.5, max: 108.0, stepKHz: 100, toleranceKHz: 0 }] },
+  });
+  assert.deepStrictEqual(freqKeysAround(99.4), [{ key: 99.4, offsetKHz: 0 }]);
+  assert.strictEqual(freqOffsetKHz(99.4, 99.4), 0);
+  assert.strictEqual(freqOffsetKHz(99.41, 99.4), null);
+});
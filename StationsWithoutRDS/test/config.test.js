@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  CONFIG_FORMAT_VERSION,
+  migrateConfig,
+  createConfigService,
+} = require('../pluginStationsWithoutRDS_config');
+
+test('migrateConfig renames old keys in place', () => {
+  const raw = { mode: 3, myStantions: [{ freq: 99.4, station: 'X' }], refreshStationsMs: 12, stableTime: 2 };
+  const { config, notes } = migrateConfig(raw);
+
+  // порядок ключей сохраняется — файл правят руками
+  assert.deepStrictEqual(Object.keys(config), ['version', 'mode', 'myStations', 'refreshStationsHours', 'stableTime']);
+  assert.deepStrictEqual(config.myStations, raw.myStantions);
+  assert.strictEqual(config.refreshStationsHours, 12);
+  assert.strictEqual(config.version, CONFIG_FORMAT_VERSION);
+  assert.deepStrictEqual(notes, [
+    '"myStantions" renamed to "myStations"',
+    '"refreshStationsMs" renamed to "refreshStationsHours"',
+    `format version 1 -> ${CONFIG_FORMAT_VERSION}`,
+  ]);
+
+  // исходный объект не меняется
+  assert.ok('myStantions' in raw);
+});
+
+test('migrateConfig keeps the new key when both are present', () => {
+  const { config, notes } = migrateConfig({
+    version: CONFIG_FORMAT_VERSION,
+    myStantions: [{ freq: 1 }],
+    myStations: [{ freq: 2 }],
+  });
+  assert.deepStrictEqual(config.myStations, [{ freq: 2 }]);
+  assert.ok(!('myStantions' in config));
+  assert.deepStrictEqual(notes, ['"myStantions" dropped: "myStations" is already set']);
+});
+
+test('migrateConfig normalizes thresholdSignals keys', () => {
+  const { config, notes } = migrateConfig({
+    version: CONFIG_FORMAT_VERSION,
+    thresholdSignals: { '99,4': 20, '87.5 - 108': 10, ALL: 5, '99.4': 30 },
+  });
+  assert.deepStrictEqual(config.thresholdSignals, { '99.4': 20, '87.5-108': 10, all: 5 });
+  assert.strictEqual(notes.length, 3);
+});
+
+test('migrateConfig leaves a current config alone', () => {
+  const raw = { version: CONFIG_FORMAT_VERSION, mode: 1, thresholdSignals: { all: 10 } };
+  const { config, notes } = migrateConfig(raw);
+  assert.deepStrictEqual(config, raw);
+  assert.deepStrictEqual(notes, []);
+});
+
+test('config service migrates in memory and writes only on saveMigrated()', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swr-config-'));
+  try {
+    const file = path.join(dir, 'StationsWithoutRDS.json');
+    const original = '{ "mode": 2, "myStantions": [] }\n';
+    fs.writeFileSync(file, original);
+
+    const service = createConfigService({ file, lastGoodFile: path.join(dir, 'lastgood.json') });
+    assert.strictEqual(service.config.mode, 2);
+    assert.deepStrictEqual(service.config.myStations, []);
+    assert.strictEqual(service.status.migrationPending, true);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), original);
+    assert.ok(!fs.existsSync(`${file}.v1.bak`));
+
+    const result = service.saveMigrated();
+    assert.strictEqual(result.saved, true);
+    assert.strictEqual(fs.readFileSync(`${file}.v1.bak`, 'utf8'), original);
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(saved.version, CONFIG_FORMAT_VERSION);
+    assert.ok('myStations' in saved && !('myStantions' in saved));
+    assert.strictEqual(service.status.migrationPending, false);
+
+    assert.strictEqual(service.saveMigrated().saved, false);
+    service.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
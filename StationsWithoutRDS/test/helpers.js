@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Сервер плагина для тестов: без веб-сервера рядом — без сети, WS и записи
+ * на диск; данные баз — из fixtures/replay. Отдаёт { helpers, replay }.
+ */
+
+const path = require('path');
+
+process.env.STATIONS_WITHOUT_RDS_REPLAY = '1';
+process.env.STATIONS_WITHOUT_RDS_ROOT = path.join(__dirname, 'fixtures', 'replay');
+
+module.exports = require('../pluginStationsWithoutRDS_server');
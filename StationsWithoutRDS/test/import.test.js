@@ -0,0 +1,212 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const {
+  importStations,
+  parseCsv,
+  parseKml,
+  unzipFirstKml,
+  toStation,
+  stationKey,
+} = require('../pluginStationsWithoutRDS_import');
+
+// ZIP из одного файла (deflate) — как KMZ из Google Earth
+function makeZip(name, text) {
+  const data = zlib.deflateRawSync(Buffer.from(text, 'utf8'));
+  const nameBuf = Buffer.from(name, 'utf8');
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt16LE(nameBuf.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt16LE(nameBuf.length, 28);
+  central.writeUInt32LE(0, 42);
+
+  const centralOffset = local.length + nameBuf.length + data.length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 8);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(central.length + nameBuf.length, 12);
+  eocd.writeUInt32LE(centralOffset, 16);
+
+  return Buffer.concat([local, nameBuf, data, central, nameBuf, eocd]);
+}
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml><Document>
+  <Placemark>
+    <name>99.4 Europa Plus</name>
+    <Point><coordinates>85.25,52.53,0</coordinates></Point>
+  </Placemark>
+  <Placemark>
+    <name>Transmitter</name>
+    <ExtendedData>
+      <Data name="frequency"><value>104,7</value></Data>
+      <SimpleData name="station">Radio &amp; Co</SimpleData>
+    </ExtendedData>
+    <Point><coordinates>83.75,53.35</coordinates></Point>
+  </Placemark>
+</Document></kml>`;
+
+test('parseCsv detects the delimiter and skips comment lines', () => {
+  const rows = parseCsv([
+    '﻿# FMLIST export',
+    'Frequency;Program;City;PI',
+    '99,4;"Europa; Plus";Biysk;7a01',
+    '',
+    '101.1;Mayak;Barnaul;',
+  ].join('\r\n'));
+
+  assert.deepStrictEqual(rows, [
+    { Frequency: '99,4', Program: 'Europa; Plus', City: 'Biysk', PI: '7a01' },
+    { Frequency: '101.1', Program: 'Mayak', City: 'Barnaul', PI: '' },
+  ]);
+});
+
+test('parseCsv handles quoted quotes and tab separators', () => {
+  const rows = parseCsv('freq\tname\n88.0\t"Radio ""X"""\n');
+  assert.deepStrictEqual(rows, [{ freq: '88.0', name: 'Radio "X"' }]);
+});
+
+test('parseCsv rejects files without a frequency column', () => {
+  assert.throws(() => parseCsv('name,city\nX,Y\n'), /frequency column/);
+});
+
+test('parseKml reads coordinates, ExtendedData and the frequency from the name', () => {
+  const rows = parseKml(KML);
+  assert.deepStrictEqual(rows, [
+    { lat: '52.53', lon: '85.25', freq: '99.4', station: 'Europa Plus' },
+    { frequency: '104,7', station: 'Radio & Co', lat: '53.35', lon: '83.75' },
+  ]);
+});
+
+test('unzipFirstKml extracts the KML from a KMZ', () => {
+  assert.strictEqual(unzipFirstKml(makeZip('doc.kml', KML)), KML);
+  assert.throws(() => unzipFirstKml(makeZip('readme.txt', 'x')), /no \.kml/);
+  assert.throws(() => unzipFirstKml(Buffer.from('not a zip at all, just some text')), /not a zip/);
+});
+
+test('toStation normalizes values', () => {
+  const cases = [
+    [
+      { Frequency: '99400', Program: 'Europa Plus', lat: `52°31'48"N`, lon: '85 15 0 E', PI: '7a01', pol: 'vertical' },
+      {},
+      { freq: 99.4, station: 'Europa Plus', lat: 52.53, lon: 85.25, pi: '7A01', pol: 'V' },
+    ],
+    [
+      { freq: '101,1 MHz', name: 'Mayak', country: 'rus', distance: '136', azimuth: '315', kw: '4' },
+      { antenna: 1 },
+      { freq: 101.1, station: 'Mayak', itu: 'RUS', distance: 136, azimuth: 315, erp: 4, antenna: 1 },
+    ],
+    [{ freq: '99.4', name: 'No country' }, { itu: 'ukr' }, { freq: 99.4, station: 'No country', itu: 'UKR' }],
+    // без частоты или названия, частота вне диапазона
+    [{ freq: '', name: 'X' }, {}, null],
+    [{ freq: '99.4' }, {}, null],
+    [{ freq: '1600', name: 'AM' }, {}, null],
+  ];
+
+  for (const [raw, opts, expected] of cases) {
+    assert.deepStrictEqual(toStation(raw, opts), expected, JSON.stringify(raw));
+  }
+});
+
+test('stationKey keys stations without coordinates by frequency and name', () => {
+  const a = { freq: 99.4, station: 'Europa Plus', location: 'Biysk' };
+  const b = { freq: 99.4, station: 'Europa Plus', location: 'Barnaul', lat: '', lon: null };
+  const c = { freq: 99.4, station: 'Avtoradio', lat: '', lon: '' };
+
+  assert.strictEqual(stationKey(a), stationKey(b));
+  assert.notStrictEqual(stationKey(a), stationKey(c));
+  assert.ok(!stationKey(c).includes('0.00,0.00'));
+
+  const d = { freq: 99.4, station: 'Europa Plus', lat: 52.53, lon: 85.25 };
+  const e = { freq: 99.4, station: 'Europa Plus', lat: 53.35, lon: 83.75 };
+  assert.notStrictEqual(stationKey(d), stationKey(e));
+});
+
+test('importStations dedupes against the config and replaces the file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swr-import-'));
+  try {
+    const cfgFile = path.join(dir, 'StationsWithoutRDS.json');
+    const csv = path.join(dir, 'stations.csv');
+    fs.writeFileSync(cfgFile, JSON.stringify({ version: 2, myStations: [{ freq: 99.4, station: 'Europa Plus' }] }));
+    fs.writeFileSync(csv, 'freq,name\n99.4,Europa Plus\n101.1,Mayak\n101.1,Mayak\n104.7,Radio Rossii\n');
+
+    const { added, skipped, invalid } = importStations(csv, { config: cfgFile });
+    assert.deepStrictEqual(added.map((s) => s.station), ['Mayak', 'Radio Rossii']);
+    assert.strictEqual(skipped, 2);
+    assert.strictEqual(invalid, 0);
+
+    const cfg = JSON.parse(fs.readFileSync(cfgFile, 'utf8'));
+    assert.strictEqual(cfg.myStations.length, 3);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['StationsWithoutRDS.json', 'stations.csv']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// временная папка с конфигом; fn(dir, cfgFile, csv)
+function withConfig(cfg, rows, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swr-import-'));
+  try {
+    const cfgFile = path.join(dir, 'StationsWithoutRDS.json');
+    const csv = path.join(dir, 'stations.csv');
+    fs.writeFileSync(cfgFile, JSON.stringify(cfg, null, 2));
+    fs.writeFileSync(csv, `freq,name\n${rows}`);
+    fn(dir, cfgFile, csv);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('importStations keeps both station lists and the old format of the file', () => {
+  const old = {
+    myStantions: [{ freq: 88.0, station: 'A' }],
+    myStations: [{ freq: 90.0, station: 'B' }],
+    refreshStationsMs: 3600000,
+    thresholdSignals: { ALL: 20 },
+  };
+
+  withConfig(old, '90.0,B\n92.0,C\n', (dir, cfgFile, csv) => {
+    const { added, skipped, notes, backup } = importStations(csv, { config: cfgFile });
+    assert.deepStrictEqual(added.map((s) => s.station), ['C']);
+    assert.strictEqual(skipped, 1);
+    assert.ok(notes.length);
+
+    const cfg = JSON.parse(fs.readFileSync(cfgFile, 'utf8'));
+    // дописано туда, откуда станции берёт сервер; остальное как было
+    assert.deepStrictEqual(cfg.myStations.map((s) => s.station), ['B', 'C']);
+    assert.deepStrictEqual(cfg.myStantions, old.myStantions);
+    assert.strictEqual(cfg.refreshStationsMs, 3600000);
+    assert.deepStrictEqual(cfg.thresholdSignals, { ALL: 20 });
+    assert.strictEqual(cfg.version, undefined);
+
+    assert.strictEqual(backup, `${cfgFile}.v1.bak`);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(backup, 'utf8')), old);
+  });
+});
+
+test('importStations appends to myStantions when it is the only list', () => {
+  withConfig({ myStantions: [{ freq: 88.0, station: 'A' }] }, '88.0,A\n92.0,C\n', (dir, cfgFile, csv) => {
+    const { added, skipped } = importStations(csv, { config: cfgFile });
+    assert.deepStrictEqual(added.map((s) => s.station), ['C']);
+    assert.strictEqual(skipped, 1);
+
+    const cfg = JSON.parse(fs.readFileSync(cfgFile, 'utf8'));
+    assert.deepStrictEqual(cfg.myStantions.map((s) => s.station), ['A', 'C']);
+    assert.ok(!('myStations' in cfg));
+  });
+});
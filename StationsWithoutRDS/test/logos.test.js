@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { helpers } = require('./helpers');
+const { parseLogoFile, nameSimilarity, rankLogoFiles } = helpers;
+
+// ниже — стандартный логотип (LOGO_MIN_SCORE)
+const MIN_SCORE = 0.75;
+
+const best = (files, st, opts) => rankLogoFiles(files, st, opts)[0] || null;
+
+test('parseLogoFile: PI prefix only in tef.noobish.eu files', () => {
+  const cases = [
+    ['7A01_EUROPAPLUS.png', true, { pi: '7A01', name: 'EUROPAPLUS' }],
+    ['7a01.svg', true, { pi: '7A01', name: '' }],
+    ['7A01F_EUROPAPLUS.png', true, { pi: null, name: 'EUROPAPLUS' }],
+    ['AVTORADIO.png', true, { pi: null, name: 'AVTORADIO' }],
+    // свои файлы называются как станция, а не по PI
+    ['ABBA.png', false, { pi: null, name: 'ABBA' }],
+    ['FACE.svg', false, { pi: null, name: 'FACE' }],
+    ['1035.png', false, { pi: null, name: '1035' }],
+    ['7A01_EUROPAPLUS.png', false, { pi: null, name: '7A01_EUROPAPLUS' }],
+  ];
+
+  for (const [file, noobish, expected] of cases) {
+    assert.deepStrictEqual(parseLogoFile(file, { noobish }), expected, `${file} noobish=${noobish}`);
+  }
+});
+
+test('nameSimilarity: scores of normalized names', () => {
+  const cases = [
+    ['EUROPAPLUS', 'EUROPAPLUS', 1],
+    ['AVTO', 'AVTA', 0.75],
+    // начало другого названия — не повод брать чужой логотип
+    ['EUROPA', 'EUROPAPLUS', 0.6],
+    ['MAXIMUM', 'MAXIMUMFM', 0.78],
+    // короткие — только точно
+    ['1', '100', 0],
+    ['DFM', 'DFM', 1],
+    ['FM', 'FM1', 0],
+    // другая цифра в конце — другая станция
+    ['101', '1015', 0],
+    ['', 'EUROPAPLUS', 0],
+  ];
+
+  for (const [a, b, expected] of cases) {
+    assert.strictEqual(Math.round(nameSimilarity(a, b) * 100) / 100, expected, `${a} / ${b}`);
+    assert.strictEqual(nameSimilarity(a, b), nameSimilarity(b, a), `${a} / ${b} (swapped)`);
+  }
+});
+
+test('rankLogoFiles: local files keep their full names', () => {
+  const files = ['ABBA.png', 'FACE.svg', '1035.png', 'EUROPAPLUS.png'];
+  const cases = [
+    [{ station: 'ABBA', pi: '7A01' }, 'ABBA.png'],
+    [{ station: 'Face', pi: 'FACE' }, 'FACE.svg'],
+    [{ station: 'Face', pi: '7A01' }, 'FACE.svg'],
+    [{ station: '1035' }, '1035.png'],
+    [{ station: 'Europa Plus' }, 'EUROPAPLUS.png'],
+  ];
+
+  for (const [st, file] of cases) {
+    const m = best(files, st);
+    assert.strictEqual(m?.file, file, st.station);
+    assert.strictEqual(m.score, 1, st.station);
+    assert.strictEqual(m.piMatch, null, st.station);
+  }
+
+  // "Europa" — не "Europa Plus"
+  assert.ok(best(files, { station: 'Europa' }).score < MIN_SCORE);
+});
+
+test('rankLogoFiles: PI bonus, penalty and PI-only files from tef.noobish.eu', () => {
+  const files = ['7A02_EUROPAPLUS.png', '7A01.png', '7B02_AVTORADIO.png', '7A01_EUROPAPLUS.png', 'RADIO1.png', 'RADIO100.png'];
+  const rank = (st) => rankLogoFiles(files, st, { noobish: true }).map((m) => [m.file, m.score, m.piMatch]);
+
+  assert.deepStrictEqual(rank({ station: 'Europa Plus', pi: '7A01' }).slice(0, 3), [
+    ['7A01_EUROPAPLUS.png', 1, true],
+    ['7A01.png', 0.9, true],
+    ['7A02_EUROPAPLUS.png', 0.5, false],
+  ]);
+
+  // без PI у станции — только по названию, PI-файлы не участвуют
+  assert.deepStrictEqual(rank({ station: 'Europa Plus' }).slice(0, 2), [
+    ['7A02_EUROPAPLUS.png', 1, null],
+    ['7A01_EUROPAPLUS.png', 1, null],
+  ]);
+
+  // совпавший PI вытягивает частичное название
+  const europa = best(files, { station: 'Europa', pi: '7A01' }, { noobish: true });
+  assert.deepStrictEqual([europa.file, europa.score], ['7A01.png', 0.9]);
+  assert.ok(best(files, { station: 'Europa' }, { noobish: true }).score < MIN_SCORE);
+
+  assert.strictEqual(best(files, { station: 'Radio 1' }, { noobish: true }).file, 'RADIO1.png');
+  assert.strictEqual(best(files, { station: 'Radio 100' }, { noobish: true }).file, 'RADIO100.png');
+  assert.ok(!rank({ station: 'Radio 1' }).some(([file]) => file === 'RADIO100.png'));
+});
+
+test('rankLogoFiles: Cyrillic names are compared in transliteration', () => {
+  const files = ['7A01_EUROPAPLUS.png', '7B02_AVTORADIO.png', 'MAYAK.png'];
+  const m = (st) => {
+    const r = best(files, st, { noobish: true });
+    return r && [r.file, r.score];
+  };
+
+  assert.deepStrictEqual(m({ station: 'Европа Плюс', pi: '7A01' }), ['7A01_EUROPAPLUS.png', 1]);
+  assert.deepStrictEqual(m({ station: 'Европа Плюс' }), ['7A01_EUROPAPLUS.png', 0.82]);
+  assert.deepStrictEqual(m({ station: 'Авторадио', pi: '7B02' }), ['7B02_AVTORADIO.png', 1]);
+  assert.deepStrictEqual(m({ station: 'Радио Маяк' }), ['MAYAK.png', 1]);
+
+  // свои файлы могут называться кириллицей
+  assert.strictEqual(best(['МАЯК.png'], { station: 'Mayak' })?.file, 'МАЯК.png');
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { helpers } = require('./helpers');
+const { isSameStation, mergeSourceHits, candidateKey } = helpers;
+
+const BIYSK = { lat: 52.53, lon: 85.25 };
+// ~1.1 км от BIYSK и ~11 км
+const BIYSK_NEAR = { lat: 52.54, lon: 85.25 };
+const BIYSK_FAR = { lat: 52.63, lon: 85.25 };
+
+const hit = (rec, loc = BIYSK) => ({ rec: { freq: 99.4, station: 'Europa Plus', pi: '7A01', ...rec }, loc });
+
+test('isSameStation: same frequency, same site and compatible PI', () => {
+  const cases = [
+    ['identical', hit({}), hit({}), true],
+    ['close sites', hit({}), hit({}, BIYSK_NEAR), true],
+    ['different sites', hit({}), hit({}, BIYSK_FAR), false],
+    ['different frequency', hit({}), hit({ freq: 99.5 }), false],
+    ['PI missing on one side', hit({}), hit({ pi: '' }), true],
+    ['PI differs, same name', hit({}), hit({ pi: '7A02', station: 'EUROPA  PLUS' }), true],
+    ['PI differs, other name', hit({}), hit({ pi: '7B02', station: 'Avtoradio' }), false],
+    ['no coordinates', hit({}), hit({}, {}), false],
+    ['Cyrillic names, PI differs', hit({ station: 'Европа Плюс' }), hit({ pi: '7B02', station: 'Авторадио' }), false],
+    ['Cyrillic names, PI differs, same name', hit({ station: 'Радио Маяк' }), hit({ pi: '7B02', station: 'МАЯК' }), true],
+    ['no letters in names, PI differs', hit({ station: '—' }), hit({ pi: '7B02', station: '' }), false],
+  ];
+
+  for (const [name, a, b, expected] of cases) {
+    assert.strictEqual(isSameStation(a, b), expected, name);
+    assert.strictEqual(isSameStation(b, a), expected, `${name} (swapped)`);
+  }
+});
+
+test('mergeSourceHits joins the same station from several sources', () => {
+  const list = mergeSourceHits([
+    { id: 'maps', hits: [hit({ erp: 0.1, pol: '' }), hit({ station: 'Avtoradio', pi: '7B02' }, BIYSK_FAR)] },
+    { id: 'fmlist', hits: [hit({ erp: 1, pol: 'V', idStation: 42 }, BIYSK_NEAR)] },
+  ]);
+
+  assert.strictEqual(list.length, 2);
+  const [europa, avto] = list;
+
+  assert.deepStrictEqual(europa.sources, ['maps', 'fmlist']);
+  // пустые поля первой базы заполняются из второй
+  assert.strictEqual(europa.pol, 'V');
+  assert.strictEqual(europa.idStation, 42);
+  // расхождение остаётся за первой базой и попадает в conflicts
+  assert.strictEqual(europa.erp, 0.1);
+  assert.deepStrictEqual(europa.conflicts, [{ field: 'erp', values: { maps: 0.1, fmlist: 1 } }]);
+
+  assert.deepStrictEqual(avto.sources, ['maps']);
+  assert.strictEqual(avto.conflicts, undefined);
+});
+
+test('mergeSourceHits never merges records of the same source', () => {
+  const list = mergeSourceHits([
+    { id: 'maps', hits: [hit({ id: 1 }), hit({ id: 2 })] },
+    { id: 'fmlist', hits: [hit({ id: 3 })] },
+  ]);
+
+  assert.deepStrictEqual(list.map((r) => [r.id, r.sources]), [
+    [1, ['maps', 'fmlist']],
+    [2, ['maps']],
+  ]);
+});
+
+test('mergeSourceHits records a conflict per field with all sources', () => {
+  const [rec] = mergeSourceHits([
+    { id: 'maps', hits: [hit({ pi: '7A01' })] },
+    { id: 'fmlist', hits: [hit({ pi: '7A02' })] },
+    { id: 'club', hits: [hit({ pi: '7A03' })] },
+  ]);
+
+  assert.deepStrictEqual(rec.sources, ['maps', 'fmlist', 'club']);
+  assert.deepStrictEqual(rec.conflicts, [{ field: 'pi', values: { maps: '7A01', fmlist: '7A02', club: '7A03' } }]);
+});
+
+test('mergeSourceHits compares Cyrillic names', () => {
+  const list = mergeSourceHits([
+    { id: 'maps', hits: [hit({ station: 'Europa Plus' }), hit({ station: 'Европа Плюс', pi: '7A02' }, BIYSK_FAR)] },
+    { id: 'fmlist', hits: [hit({ station: 'Европа Плюс' }), hit({ station: 'Авторадио', pi: '7B02' }, BIYSK_FAR)] },
+  ]);
+
+  assert.deepStrictEqual(list.map((r) => [r.station, r.sources]), [
+    ['Europa Plus', ['maps', 'fmlist']],
+    ['Европа Плюс', ['maps']],
+    ['Авторадио', ['fmlist']],
+  ]);
+  // перевод названия — не расхождение
+  assert.strictEqual(list[0].conflicts, undefined);
+});
+
+test('mergeSourceHits records a conflict between different Cyrillic names', () => {
+  const [rec] = mergeSourceHits([
+    { id: 'maps', hits: [hit({ station: 'Европа Плюс' })] },
+    { id: 'fmlist', hits: [hit({ station: 'Радио Европа' })] },
+  ]);
+
+  assert.deepStrictEqual(rec.conflicts, [{ field: 'station', values: { maps: 'Европа Плюс', fmlist: 'Радио Европа' } }]);
+});
+
+test('candidateKey keeps record ids of different sources apart', () => {
+  const cases = [
+    // прежние ключи maps.fmdx остаются в силе
+    [{ id: 7 }, 'maps', 'fmdx:7'],
+    [{ id: 7 }, 'myfile', 'myfile:7'],
+    [{ id: 7 }, 'http', 'http:7'],
+    [{ idStation: 42 }, 'fmlist', 'fmlist:42'],
+    [{ itu: 'RUS', station: 'Mayak', location: 'Biysk' }, undefined, 'custom:RUS/Mayak/Biysk'],
+  ];
+
+  for (const [rec, sourceId, expected] of cases) {
+    assert.strictEqual(candidateKey(rec, sourceId), expected, `${sourceId} ${JSON.stringify(rec)}`);
+  }
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { helpers } = require('./helpers');
+const { normalizePiMask, piMatchesMask } = helpers;
+
+test('normalizePiMask accepts partial PI with enough known digits', () => {
+  const cases = [
+    ['D3?1', 'D3?1'],
+    ['d3?1', 'D3?1'],
+    [' D3 ?1 ', 'D3?1'],
+    ['??41', '??41'],
+    ['7??2', '7??2'],
+    // одной известной цифры мало
+    ['???1', null],
+    ['????', null],
+    // полный PI — не маска
+    ['D311', null],
+    // не 4 символа или мусор
+    ['D3?', null],
+    ['D3?11', null],
+    ['G3?1', null],
+    ['', null],
+    [null, null],
+    [undefined, null],
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.strictEqual(normalizePiMask(input), expected, `normalizePiMask(${JSON.stringify(input)})`);
+  }
+});
+
+test('piMatchesMask compares only known positions', () => {
+  const cases = [
+    ['D3?1', 'D311', true],
+    ['D3?1', 'D3F1', true],
+    ['D3?1', 'd3a1', true],
+    ['D3?1', 'D312', false],
+    ['D3?1', 'E311', false],
+    ['??41', '7241', true],
+    ['??41', '7242', false],
+    // PI другой длины или пустой не совпадает
+    ['D3?1', 'D31', false],
+    ['D3?1', '', false],
+    ['D3?1', null, false],
+  ];
+
+  for (const [mask, pi, expected] of cases) {
+    assert.strictEqual(piMatchesMask(mask, pi), expected, `piMatchesMask(${mask}, ${JSON.stringify(pi)})`);
+  }
+});
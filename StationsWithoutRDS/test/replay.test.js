@@ -0,0 +1,27 @@
+'use strict';
+
+// Регрессия конвейера: короткая запись /text воспроизводится CLI
+// и должна дать те же сообщения find, что и сохранённые рядом.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const root = path.join(__dirname, 'fixtures', 'replay');
+const cli = path.join(__dirname, '..', 'pluginStationsWithoutRDS_replay.js');
+
+const readJsonl = (text) => text.split('\n').filter((l) => l.trim()).map((l) => JSON.parse(l));
+
+test('replay of the recorded session produces the expected finds', () => {
+  const out = execFileSync(process.execPath, [cli, path.join(root, 'recording.jsonl'), '--out', '-'], {
+    env: { ...process.env, STATIONS_WITHOUT_RDS_ROOT: root },
+    stdio: ['ignore', 'pipe', 'ignore'],
+    encoding: 'utf8',
+    timeout: 60000,
+  });
+
+  const expected = readJsonl(fs.readFileSync(path.join(root, 'expected.finds.jsonl'), 'utf8'));
+  assert.deepStrictEqual(readJsonl(out), expected);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { helpers, replay } = require('./helpers');
+const { isOnAir, searchStationsCached } = helpers;
+
+// понедельник, 19.10.2026, время UTC
+const mon = (hh, mm = 0) => Date.UTC(2026, 9, 19, hh, mm);
+const DAY = 24 * 60 * 60 * 1000;
+
+test('isOnAir without a usable schedule is unknown', () => {
+  assert.strictEqual(isOnAir(undefined, 'UTC', mon(12)), null);
+  assert.strictEqual(isOnAir([], 'UTC', mon(12)), null);
+  assert.strictEqual(isOnAir([{ from: 'noon', to: '25:00' }], 'UTC', mon(12)), null);
+});
+
+test('isOnAir checks time slots and days', () => {
+  const cases = [
+    // [schedule, время, ожидание]
+    [[{ from: '06:00', to: '10:00' }], mon(6), true],
+    [[{ from: '06:00', to: '10:00' }], mon(9, 59), true],
+    [[{ from: '06:00', to: '10:00' }], mon(10), false],
+    [[{ from: '06:00', to: '10:00' }], mon(5, 59), false],
+    [[{ days: 'mon-fri', from: '06:00', to: '10:00' }], mon(7), true],
+    [[{ days: 'sat,sun', from: '06:00', to: '10:00' }], mon(7), false],
+    [[{ days: 'sat,sun', from: '06:00', to: '10:00' }], mon(7) - 2 * DAY, true],
+    [[{ days: [1], from: '06:00', to: '10:00' }], mon(7), true],
+    [[{ days: ['tue'], from: '06:00', to: '10:00' }], mon(7), false],
+    // "sat-mon" через воскресенье
+    [[{ days: 'sat-mon', from: '00:00', to: '24:00' }], mon(12), true],
+    [[{ days: 'sat-mon', from: '00:00', to: '24:00' }], mon(12) + DAY, false],
+    // несколько слотов
+    [[{ from: '06:00', to: '08:00' }, { from: '18:00', to: '20:00' }], mon(19), true],
+    [[{ from: '06:00', to: '08:00' }, { from: '18:00', to: '20:00' }], mon(12), false],
+  ];
+
+  for (const [schedule, now, expected] of cases) {
+    assert.strictEqual(isOnAir(schedule, 'UTC', now), expected, `${JSON.stringify(schedule)} @ ${new Date(now).toISOString()}`);
+  }
+});
+
+test('isOnAir: a slot over midnight belongs to the day it starts', () => {
+  const night = [{ days: 'fri', from: '22:00', to: '02:00' }];
+  const fri = mon(0) + 4 * DAY;
+
+  assert.strictEqual(isOnAir(night, 'UTC', fri + 23 * 3600e3), true);
+  assert.strictEqual(isOnAir(night, 'UTC', fri + DAY + 1 * 3600e3), true); // сб, 01:00
+  assert.strictEqual(isOnAir(night, 'UTC', fri + 1 * 3600e3), false); // пт, 01:00 — хвост четверга
+  assert.strictEqual(isOnAir(night, 'UTC', fri + DAY + 2 * 3600e3), false);
+});
+
+test('isOnAir uses the station time zone', () => {
+  const morning = [{ from: '06:00', to: '10:00' }];
+  // 03:00 UTC = 06:00 в Москве
+  assert.strictEqual(isOnAir(morning, 'Europe/Moscow', mon(3)), true);
+  assert.strictEqual(isOnAir(morning, 'UTC', mon(3)), false);
+});
+
+test('cached results expire each minute only when a candidate has a schedule', async () => {
+  const realNow = replay.clock.now;
+  let now = mon(12);
+  replay.clock.now = () => now;
+
+  try {
+    replay.setQth(52.5, 85.2);
+    replay.useConfig({
+      mode: 2,
+      timezone: 'UTC',
+      myStations: [
+        { freq: 99.4, station: 'Always', lat: 52.53, lon: 85.25 },
+        { freq: 101.1, station: 'Evening', lat: 52.53, lon: 85.25, schedule: [{ from: '18:00', to: '20:00' }] },
+      ],
+    });
+
+    const plain = searchStationsCached(99.4, null, 0, null);
+    const scheduled = searchStationsCached(101.1, null, 0, null);
+    assert.strictEqual((await scheduled)[0].offAir, true);
+
+    now += 5 * 60 * 1000;
+    assert.strictEqual(searchStationsCached(99.4, null, 0, null), plain);
+    assert.notStrictEqual(searchStationsCached(101.1, null, 0, null), scheduled);
+
+    now = mon(18, 30);
+    const evening = await searchStationsCached(101.1, null, 0, null);
+    assert.strictEqual(evening[0].offAir, undefined);
+  } finally {
+    replay.clock.now = realNow;
+  }
+});